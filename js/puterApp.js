@@ -155,6 +155,108 @@ class PuterApp {
         if (!window.puterChatManager) {
             throw new Error('Chat Manager not available');
         }
+
+        // Restore saved conversations
+        await this.restoreConversations();
+
+        // Initialize export and import buttons
+        if (window.puterExportManager) {
+            puterExportManager.init();
+        }
+        if (window.puterImportManager) {
+            puterImportManager.init();
+        }
+
+        // Initialize image generation mode
+        if (window.puterImageGenManager) {
+            puterImageGenManager.init();
+        }
+
+        // Initialize text-to-speech settings
+        if (window.puterSpeechManager) {
+            puterSpeechManager.init();
+        }
+
+        // Initialize image-to-text extraction
+        if (window.puterOcrManager) {
+            puterOcrManager.init();
+        }
+
+        // Initialize code block copy/download buttons
+        if (window.puterCodeHighlighter) {
+            puterCodeHighlighter.init();
+        }
+
+        // Initialize math and diagram rendering
+        if (window.puterRichContentRenderer) {
+            puterRichContentRenderer.init();
+        }
+
+        // Initialize the answer diff view
+        if (window.puterDiffManager) {
+            puterDiffManager.init();
+        }
+
+        // Initialize the round metrics summary
+        if (window.puterMetricsManager) {
+            puterMetricsManager.init();
+        }
+
+        // Initialize answer voting and the leaderboard
+        if (window.puterLeaderboardManager) {
+            await puterLeaderboardManager.init();
+        }
+
+        // Initialize blind comparison mode
+        if (window.puterBlindModeManager) {
+            await puterBlindModeManager.init();
+        }
+
+        // Initialize the LLM judge
+        if (window.puterJudgeManager) {
+            await puterJudgeManager.init();
+        }
+
+        // Initialize answer synthesis
+        if (window.puterSynthesisManager) {
+            await puterSynthesisManager.init();
+        }
+
+        // Initialize benchmark suites
+        if (window.puterBenchmarkManager) {
+            await puterBenchmarkManager.init();
+        }
+
+        // Initialize request retries
+        if (window.puterRequestScheduler) {
+            puterRequestScheduler.init();
+        }
+
+        // Initialize the broadcast queue and favorites
+        if (window.puterBroadcastQueue) {
+            await puterBroadcastQueue.init();
+        }
+    }
+
+    /**
+     * Open conversation storage and restore the last sessions
+     */
+    async restoreConversations() {
+        if (!window.puterStorageManager) {
+            console.warn('⚠️ Storage Manager not available, conversations will not be saved');
+            return;
+        }
+
+        try {
+            await puterStorageManager.init();
+            await puterStorageManager.restoreActiveConversations();
+
+            if (window.puterConversationManager) {
+                await puterConversationManager.init();
+            }
+        } catch (error) {
+            console.error('❌ Failed to restore conversations:', error);
+        }
     }
 
 
@@ -229,7 +331,7 @@ class PuterApp {
                 Failed to initialize the Puter AI Chatbot:
             </p>
             <p style="font-family: monospace; background: #f1f3f4; padding: 8px; border-radius: 4px; margin-bottom: 16px; color: #666;">
-                ${error.message}
+                ${window.puterSanitizer ? puterSanitizer.escape(error.message) : ''}
             </p>
             <button onclick="window.location.reload()" style="
                 background: #007bff;
@@ -347,7 +449,7 @@ class PuterApp {
                     cursor: pointer;
                     color: #666;
                 ">×</button>
-                <h2 style="margin-bottom: 20px;">${title}</h2>
+                <h2 style="margin-bottom: 20px;">${puterSanitizer.escape(title)}</h2>
                 ${content}
             </div>
         `;
@@ -370,6 +472,8 @@ class PuterApp {
             }
         };
         document.addEventListener('keydown', closeOnEscape);
+
+        return modal;
     }
 
     /**
@@ -383,8 +487,28 @@ class PuterApp {
             componentsLoaded: {
                 uiManager: !!window.puterUIManager,
                 chatManager: !!window.puterChatManager,
-                modelCapabilities: !!window.puterModelCapabilities
-            }
+                modelCapabilities: !!window.puterModelCapabilities,
+                storageManager: !!window.puterStorageManager,
+                conversationManager: !!window.puterConversationManager,
+                exportManager: !!window.puterExportManager,
+                importManager: !!window.puterImportManager,
+                imageGenManager: !!window.puterImageGenManager,
+                speechManager: !!window.puterSpeechManager,
+                ocrManager: !!window.puterOcrManager,
+                codeHighlighter: !!window.puterCodeHighlighter,
+                sanitizer: !!window.puterSanitizer,
+                richContentRenderer: !!window.puterRichContentRenderer,
+                diffManager: !!window.puterDiffManager,
+                metricsManager: !!window.puterMetricsManager,
+                leaderboardManager: !!window.puterLeaderboardManager,
+                blindModeManager: !!window.puterBlindModeManager,
+                judgeManager: !!window.puterJudgeManager,
+                synthesisManager: !!window.puterSynthesisManager,
+                benchmarkManager: !!window.puterBenchmarkManager,
+                requestScheduler: !!window.puterRequestScheduler,
+                broadcastQueue: !!window.puterBroadcastQueue
+            },
+            storageBackend: window.puterStorageManager ? puterStorageManager.backend : null
         };
     }
 }
@@ -0,0 +1,701 @@
+/**
+ * Puter Benchmark Manager
+ * Saved prompt suites with expected properties, run across grid models with a pass/fail history
+ */
+
+class PuterBenchmarkManager {
+    constructor() {
+        this.suitesKey = 'benchmarkSuites';
+        this.runsKey = 'benchmarkRuns';
+        this.maxRuns = 100; // Oldest runs are dropped beyond this
+        this.defaultMinScore = 7;
+        this.checkTypes = ['contains', 'regex', 'json', 'minLength', 'maxLength', 'judge'];
+        this.suites = []; // { id, name, prompts: [{ prompt, checks: [{ type, value, ... }] }] }
+        this.runs = []; // { id, suiteId, suiteName, timestamp, conversationId, modelIds, prompts, results, completed }
+        this.selectedModelIds = null; // null = every enabled window
+        this.running = false;
+        this.cancelled = false;
+        this.judgeController = null; // Aborts judge checks when a run is cancelled
+        this.modal = null;
+    }
+
+    /**
+     * Load saved suites and runs, and bind the benchmark button
+     */
+    async init() {
+        const benchmarkButton = document.getElementById('gridBenchmarkBtn');
+        if (benchmarkButton) {
+            benchmarkButton.addEventListener('click', () => this.openBenchmarkDialog());
+        }
+
+        const [suites, runs] = await Promise.all([
+            puterStorageManager.getMeta(this.suitesKey),
+            puterStorageManager.getMeta(this.runsKey)
+        ]);
+        this.suites = Array.isArray(suites) && suites.length > 0 ? suites : [this.createSampleSuite()];
+        this.runs = Array.isArray(runs) ? runs : [];
+
+        console.log(`✅ Benchmark Manager initialized (${this.suites.length} suites, ${this.runs.length} runs)`);
+    }
+
+    /**
+     * Starter suite showing every kind of check
+     */
+    createSampleSuite() {
+        return {
+            id: this.generateId('suite'),
+            name: 'Sample suite',
+            prompts: [
+                {
+                    prompt: 'What is 17 * 23? Reply with just the number.',
+                    checks: [
+                        { type: 'regex', value: '^\\s*391\\s*$' },
+                        { type: 'maxLength', value: 20 }
+                    ]
+                },
+                {
+                    prompt: 'Return a JSON object with the keys "name" and "age" for a fictional person. Reply with JSON only.',
+                    checks: [
+                        { type: 'json' },
+                        { type: 'contains', value: '"age"' }
+                    ]
+                },
+                {
+                    prompt: 'Explain recursion to a ten year old in under 100 words.',
+                    checks: [
+                        { type: 'minLength', value: 100 },
+                        { type: 'maxLength', value: 800 },
+                        { type: 'judge', value: 'Accurate, friendly and simple enough for a child.', minScore: 7 }
+                    ]
+                }
+            ]
+        };
+    }
+
+    /**
+     * Create a unique id
+     */
+    generateId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Save suites locally
+     */
+    saveSuites() {
+        return puterStorageManager.setMeta(this.suitesKey, this.suites);
+    }
+
+    /**
+     * Save run history locally, keeping only the newest runs
+     */
+    saveRuns() {
+        if (this.runs.length > this.maxRuns) {
+            this.runs = this.runs.slice(-this.maxRuns);
+        }
+        return puterStorageManager.setMeta(this.runsKey, this.runs);
+    }
+
+    /**
+     * Validate an edited suite and return it without unknown fields
+     */
+    parseSuite(text, id) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+            throw new Error('The suite needs a "name"');
+        }
+        if (!Array.isArray(data.prompts) || data.prompts.length === 0) {
+            throw new Error('The suite needs a non-empty "prompts" array');
+        }
+
+        const prompts = data.prompts.map((entry, index) => {
+            const where = `Prompt ${index + 1}`;
+            if (!entry || typeof entry.prompt !== 'string' || !entry.prompt.trim()) {
+                throw new Error(`${where} needs a "prompt" string`);
+            }
+
+            const checks = (Array.isArray(entry.checks) ? entry.checks : []).map(check => {
+                if (!check || !this.checkTypes.includes(check.type)) {
+                    throw new Error(`${where} has an unknown check type "${check?.type}". Use ${this.checkTypes.join(', ')}`);
+                }
+                if ((check.type === 'contains' || check.type === 'regex' || check.type === 'judge') &&
+                    (typeof check.value !== 'string' || !check.value)) {
+                    throw new Error(`${where}: "${check.type}" needs a "value" string`);
+                }
+                if (check.type === 'regex') {
+                    try {
+                        new RegExp(check.value, check.flags || '');
+                    } catch (error) {
+                        throw new Error(`${where}: ${error.message}`);
+                    }
+                }
+                if ((check.type === 'minLength' || check.type === 'maxLength') && !Number.isFinite(check.value)) {
+                    throw new Error(`${where}: "${check.type}" needs a numeric "value"`);
+                }
+                return { ...check };
+            });
+
+            return { prompt: entry.prompt, checks };
+        });
+
+        return { id, name: data.name.trim(), ...(data.judgeModel ? { judgeModel: String(data.judgeModel) } : {}), prompts };
+    }
+
+    /**
+     * Short description of a check for tooltips
+     */
+    describeCheck(check) {
+        switch (check.type) {
+            case 'contains': return `contains "${check.value}"`;
+            case 'regex': return `matches /${check.value}/${check.flags || ''}`;
+            case 'json': return 'is valid JSON';
+            case 'minLength': return `at least ${check.value} characters`;
+            case 'maxLength': return `at most ${check.value} characters`;
+            case 'judge': return `judge score ≥ ${check.minScore ?? this.defaultMinScore}`;
+            default: return check.type;
+        }
+    }
+
+    /**
+     * Test one answer against a non-judge check
+     */
+    evaluateCheck(check, content) {
+        let pass = false;
+        let detail = '';
+
+        switch (check.type) {
+            case 'contains':
+                pass = check.caseSensitive
+                    ? content.includes(check.value)
+                    : content.toLowerCase().includes(check.value.toLowerCase());
+                break;
+            case 'regex':
+                pass = new RegExp(check.value, check.flags || '').test(content);
+                break;
+            case 'json': {
+                // Accept JSON wrapped in a code fence, as most models reply that way
+                const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+                try {
+                    JSON.parse(fenced ? fenced[1] : content.trim());
+                    pass = true;
+                } catch (error) {
+                    detail = error.message;
+                }
+                break;
+            }
+            case 'minLength':
+                pass = content.length >= check.value;
+                detail = `${content.length} characters`;
+                break;
+            case 'maxLength':
+                pass = content.length <= check.value;
+                detail = `${content.length} characters`;
+                break;
+        }
+
+        return { label: this.describeCheck(check), pass, detail };
+    }
+
+    /**
+     * Score every answer of a round against the prompt's judge checks
+     */
+    async evaluateJudgeChecks(suite, round, checks) {
+        const judgeModelId = suite.judgeModel || puterJudgeManager.judgeModelId || puterChatManager.getAllChatModels()[0];
+        const results = [];
+
+        for (const check of checks) {
+            try {
+                // The verdict lives in the run's results; the round keeps any judgement made by hand
+                const judgement = await puterJudgeManager.judgeRound(round, judgeModelId, check.value, {
+                    save: false,
+                    signal: this.judgeController.signal
+                });
+                results.push({ check, judgement });
+            } catch (error) {
+                if (puterChatManager.isAbortError(error)) break;
+                console.error('❌ Benchmark judge failed:', error);
+                results.push({ check, error });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Models a run can use: enabled grid windows
+     */
+    getAvailableModels() {
+        return [...puterUIManager.chatWindows.keys()].filter(modelId => puterUIManager.isModelEnabled(modelId));
+    }
+
+    /**
+     * Run a suite in a new grid conversation, one isolated round per prompt
+     */
+    async runSuite(suite, modelIds, onProgress = () => {}) {
+        if (this.running) return null;
+        if (modelIds.length === 0) {
+            throw new Error('Select at least one model');
+        }
+        if (window.puterBlindModeManager && puterBlindModeManager.isActive()) {
+            throw new Error('Turn off blind mode before running a benchmark');
+        }
+        if (puterUIManager.isProcessing) {
+            throw new Error('Wait for the current prompt to finish');
+        }
+
+        this.running = true;
+        this.cancelled = false;
+        this.judgeController = new AbortController();
+
+        // Each run gets its own conversation so the answers can be read back later
+        await puterConversationManager.createConversation('grid');
+        const conversationId = puterStorageManager.getActiveConversationId('grid');
+
+        const run = {
+            id: this.generateId('run'),
+            suiteId: suite.id,
+            suiteName: suite.name,
+            timestamp: Date.now(),
+            conversationId,
+            modelIds: [...modelIds],
+            prompts: suite.prompts.map(entry => entry.prompt),
+            results: [], // Per prompt: { modelId: { pass, checks: [{ label, pass, detail }] } }
+            completed: false
+        };
+
+        // Manual prompts would land in the run's conversation
+        puterUIManager.isProcessing = true;
+        puterUIManager.updateSendButtonState();
+
+        try {
+            for (const [index, entry] of suite.prompts.entries()) {
+                if (this.cancelled) break;
+                onProgress(`Prompt ${index + 1} of ${suite.prompts.length}…`);
+
+                puterUIManager.displayUserMessageInAllWindows(entry.prompt, [], modelIds);
+                // Without fallbacks, a pass always belongs to the model that was asked
+                const roundId = await puterChatManager.sendMessageToAllModels(entry.prompt, [], modelIds, { isolated: true, fallbacks: false });
+                // Answers cut short by cancelling would count as failures
+                if (this.cancelled) break;
+
+                const round = puterChatManager.getRounds().find(item => item.id === roundId);
+                const answers = new Map((round ? round.responses : []).map(response => [response.modelId, String(response.content || '')]));
+
+                const judgeChecks = entry.checks.filter(check => check.type === 'judge');
+                const judged = round && judgeChecks.length > 0
+                    ? await this.evaluateJudgeChecks(suite, round, judgeChecks)
+                    : [];
+                // Unfinished judge checks would count as failures too
+                if (this.cancelled) break;
+
+                const promptResults = {};
+                modelIds.forEach(modelId => {
+                    const content = answers.get(modelId);
+                    const checks = entry.checks.map(check => {
+                        if (!content) {
+                            return { label: this.describeCheck(check), pass: false, detail: 'No answer' };
+                        }
+                        if (check.type !== 'judge') {
+                            return this.evaluateCheck(check, content);
+                        }
+
+                        const result = judged.find(item => item.check === check);
+                        const score = result?.judgement?.scores.find(item => item.modelId === modelId)?.score;
+                        return {
+                            label: this.describeCheck(check),
+                            pass: typeof score === 'number' && score >= (check.minScore ?? this.defaultMinScore),
+                            detail: result?.error ? `Judge failed: ${result.error.message}` : `Score ${score ?? '—'}`
+                        };
+                    });
+                    promptResults[modelId] = { pass: !!content && checks.every(check => check.pass), checks };
+                });
+                run.results.push(promptResults);
+            }
+
+            run.completed = !this.cancelled;
+        } finally {
+            this.running = false;
+            puterUIManager.isProcessing = false;
+            puterUIManager.updateSendButtonState();
+            if (run.results.length > 0) {
+                this.runs.push(run);
+                await this.saveRuns();
+                await this.nameConversation(conversationId, suite.name);
+            }
+        }
+
+        return run;
+    }
+
+    /**
+     * Title the run's conversation after its suite
+     */
+    async nameConversation(conversationId, suiteName) {
+        await puterStorageManager.flush('grid');
+        const conversation = await puterStorageManager.getConversation(conversationId);
+        if (conversation) {
+            conversation.title = puterStorageManager.makeTitle(`Benchmark: ${suiteName}`);
+            await puterStorageManager.saveConversation(conversation);
+            await puterConversationManager.refresh();
+        }
+    }
+
+    /**
+     * Stop a run after the current prompt
+     */
+    cancel() {
+        if (!this.running) return;
+        this.cancelled = true;
+        puterChatManager.stopAllGenerations();
+        if (this.judgeController) {
+            this.judgeController.abort();
+        }
+    }
+
+    /**
+     * Runs of a suite, oldest first
+     */
+    getRuns(suiteId) {
+        return this.runs.filter(run => run.suiteId === suiteId);
+    }
+
+    /**
+     * Find how a model did on the same prompt in the run before this one
+     */
+    getPreviousResult(run, prompt, modelId) {
+        const runs = this.getRuns(run.suiteId);
+        for (let i = runs.indexOf(run) - 1; i >= 0; i--) {
+            const promptIndex = runs[i].prompts.indexOf(prompt);
+            const result = promptIndex === -1 ? null : runs[i].results[promptIndex]?.[modelId];
+            if (result) return result;
+        }
+        return null;
+    }
+
+    /**
+     * Share of a run's prompts a model passed, or null if it wasn't in the run
+     */
+    getPassRate(run, modelId) {
+        const results = run.results.map(promptResults => promptResults[modelId]).filter(Boolean);
+        if (results.length === 0) return null;
+        return results.filter(result => result.pass).length / results.length;
+    }
+
+    /**
+     * Show the suites, model picker, latest results and run history
+     */
+    openBenchmarkDialog() {
+        const content = `
+            <div class="metrics-dialog benchmark-dialog">
+                <div class="metrics-controls">
+                    <select id="benchmarkSuiteSelect" class="export-select"></select>
+                    <button class="export-btn" id="benchmarkNewBtn">＋ New</button>
+                    <button class="export-btn" id="benchmarkEditBtn">✏️ Edit</button>
+                    <button class="export-btn" id="benchmarkDeleteBtn">🗑 Delete</button>
+                </div>
+                <details class="benchmark-models">
+                    <summary>Models</summary>
+                    <div class="metrics-controls">
+                        <button class="export-btn" data-select-models="all">All</button>
+                        <button class="export-btn" data-select-models="none">None</button>
+                    </div>
+                    <div class="benchmark-model-list"></div>
+                </details>
+                <div class="metrics-controls">
+                    <button class="export-btn" id="benchmarkRunBtn">▶️ Run suite</button>
+                    <button class="export-btn" id="benchmarkCancelBtn" style="display: none;">⏹ Cancel</button>
+                    <span class="metrics-note benchmark-progress"></span>
+                </div>
+                <div class="metrics-controls">
+                    <select id="benchmarkRunSelect" class="export-select"></select>
+                </div>
+                <div class="table-wrapper benchmark-matrix"></div>
+                <p class="metrics-note">⚠️ marks a prompt that passed in the previous run and fails now. Hover a cell for its checks.</p>
+                <div class="table-wrapper benchmark-history"></div>
+            </div>
+        `;
+
+        const modal = puterApp.showModal('Benchmarks', content);
+        this.modal = modal;
+        const suiteSelect = modal.querySelector('#benchmarkSuiteSelect');
+        const runSelect = modal.querySelector('#benchmarkRunSelect');
+        const runButton = modal.querySelector('#benchmarkRunBtn');
+        const cancelButton = modal.querySelector('#benchmarkCancelBtn');
+        const progress = modal.querySelector('.benchmark-progress');
+
+        this.renderSuiteOptions(modal);
+        this.renderModelList(modal);
+        this.renderResults(modal);
+
+        suiteSelect.addEventListener('change', () => this.renderResults(modal));
+        runSelect.addEventListener('change', () => this.renderMatrix(modal));
+        modal.querySelector('#benchmarkNewBtn').addEventListener('click', () => this.openSuiteEditor(null));
+        modal.querySelector('#benchmarkEditBtn').addEventListener('click', () => {
+            this.openSuiteEditor(this.suites.find(suite => suite.id === suiteSelect.value) || null);
+        });
+        modal.querySelector('#benchmarkDeleteBtn').addEventListener('click', () => this.deleteSuite(suiteSelect.value));
+
+        modal.querySelectorAll('[data-select-models]').forEach(button => {
+            button.addEventListener('click', () => {
+                const all = button.getAttribute('data-select-models') === 'all';
+                this.selectedModelIds = all ? null : [];
+                this.renderModelList(modal);
+            });
+        });
+        modal.querySelector('.benchmark-model-list').addEventListener('change', () => {
+            this.selectedModelIds = [...modal.querySelectorAll('.benchmark-model-list input:checked')]
+                .map(input => input.value);
+            this.updateModelSummary(modal);
+        });
+
+        cancelButton.addEventListener('click', () => this.cancel());
+        runButton.addEventListener('click', async () => {
+            const suite = this.suites.find(item => item.id === suiteSelect.value);
+            if (!suite || this.running) return;
+
+            runButton.disabled = true;
+            cancelButton.style.display = '';
+            try {
+                const run = await this.runSuite(suite, this.getSelectedModels(), (text) => {
+                    progress.textContent = text;
+                });
+                progress.textContent = run && run.completed ? 'Run complete' : 'Run cancelled';
+            } catch (error) {
+                console.error('❌ Benchmark run failed:', error);
+                progress.textContent = '';
+                puterUIManager.showError(`Benchmark failed: ${error.message}`);
+            } finally {
+                runButton.disabled = false;
+                cancelButton.style.display = 'none';
+                if (modal.isConnected) {
+                    this.renderResults(modal);
+                }
+            }
+        });
+    }
+
+    /**
+     * Models ticked in the picker
+     */
+    getSelectedModels() {
+        const available = this.getAvailableModels();
+        return this.selectedModelIds === null
+            ? available
+            : available.filter(modelId => this.selectedModelIds.includes(modelId));
+    }
+
+    /**
+     * Fill the suite dropdown, keeping the current choice when possible
+     */
+    renderSuiteOptions(modal, selectedId = null) {
+        const suiteSelect = modal.querySelector('#benchmarkSuiteSelect');
+        const current = selectedId || suiteSelect.value;
+        suiteSelect.innerHTML = this.suites.map(suite =>
+            `<option value="${puterSanitizer.escape(suite.id)}"${suite.id === current ? ' selected' : ''}>${puterSanitizer.escape(suite.name)} (${suite.prompts.length} prompts)</option>`
+        ).join('');
+    }
+
+    /**
+     * Fill the model picker with the enabled grid windows
+     */
+    renderModelList(modal) {
+        const selected = this.getSelectedModels();
+        modal.querySelector('.benchmark-model-list').innerHTML = this.getAvailableModels().map(modelId => `
+            <label class="benchmark-model">
+                <input type="checkbox" value="${puterSanitizer.escape(modelId)}"${selected.includes(modelId) ? ' checked' : ''}>
+                ${puterSanitizer.escape(puterUIManager.getModelDisplayName(modelId))}
+            </label>
+        `).join('');
+        this.updateModelSummary(modal);
+    }
+
+    /**
+     * Show how many models are ticked
+     */
+    updateModelSummary(modal) {
+        const count = this.getSelectedModels().length;
+        modal.querySelector('.benchmark-models summary').textContent =
+            `Models (${count} of ${this.getAvailableModels().length} enabled windows)`;
+    }
+
+    /**
+     * Refresh the run dropdown, matrix and history for the chosen suite
+     */
+    renderResults(modal) {
+        const suiteId = modal.querySelector('#benchmarkSuiteSelect').value;
+        const runs = this.getRuns(suiteId);
+        const runSelect = modal.querySelector('#benchmarkRunSelect');
+
+        runSelect.innerHTML = runs.map((run, index) => {
+            const label = `Run ${index + 1}: ${new Date(run.timestamp).toLocaleString()}${run.completed ? '' : ' (cancelled)'}`;
+            const selected = index === runs.length - 1 ? ' selected' : '';
+            return `<option value="${puterSanitizer.escape(run.id)}"${selected}>${puterSanitizer.escape(label)}</option>`;
+        }).join('');
+        runSelect.style.display = runs.length > 0 ? '' : 'none';
+
+        this.renderMatrix(modal);
+        this.renderHistory(modal, runs);
+    }
+
+    /**
+     * Pass/fail matrix of the selected run: prompts down, models across
+     */
+    renderMatrix(modal) {
+        const container = modal.querySelector('.benchmark-matrix');
+        const run = this.runs.find(item => item.id === modal.querySelector('#benchmarkRunSelect').value);
+        if (!run) {
+            container.innerHTML = '<p class="metrics-note">This suite has not been run yet.</p>';
+            return;
+        }
+
+        const escape = (value) => puterSanitizer.escape(value);
+        const header = run.modelIds.map(modelId =>
+            `<th title="${escape(modelId)}">${escape(puterUIManager.getModelDisplayName(modelId))}</th>`).join('');
+
+        const rows = run.results.map((promptResults, index) => {
+            const prompt = run.prompts[index];
+            const cells = run.modelIds.map(modelId => {
+                const result = promptResults[modelId];
+                if (!result) return '<td>—</td>';
+
+                const previous = this.getPreviousResult(run, prompt, modelId);
+                const regression = !result.pass && previous && previous.pass;
+                const title = result.checks
+                    .map(check => `${check.pass ? '✓' : '✗'} ${check.label}${check.detail ? ` (${check.detail})` : ''}`)
+                    .join('\n');
+                const className = `benchmark-cell ${result.pass ? 'pass' : 'fail'}${regression ? ' regression' : ''}`;
+                return `<td class="${className}" title="${escape(title)}">${result.pass ? '✅' : '❌'}${regression ? ' ⚠️' : ''}</td>`;
+            }).join('');
+            return `<tr><td title="${escape(prompt)}">${escape(puterStorageManager.makeTitle(prompt))}</td>${cells}</tr>`;
+        }).join('');
+
+        const totals = run.modelIds.map(modelId => {
+            const rate = this.getPassRate(run, modelId);
+            return `<td>${rate === null ? '—' : `${Math.round(rate * 100)}%`}</td>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="metrics-table benchmark-table">
+                <thead><tr><th>Prompt</th>${header}</tr></thead>
+                <tbody>${rows}<tr class="benchmark-total"><td>Passed</td>${totals}</tr></tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Pass rate per model across every run of the suite, newest first
+     */
+    renderHistory(modal, runs) {
+        const container = modal.querySelector('.benchmark-history');
+        if (runs.length < 2) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const modelIds = [...new Set(runs.flatMap(run => run.modelIds))];
+        const escape = (value) => puterSanitizer.escape(value);
+        const header = modelIds.map(modelId =>
+            `<th title="${escape(modelId)}">${escape(puterUIManager.getModelDisplayName(modelId))}</th>`).join('');
+
+        const rows = runs.map((run, index) => {
+            const previousRun = runs[index - 1];
+            const cells = modelIds.map(modelId => {
+                const rate = this.getPassRate(run, modelId);
+                if (rate === null) return '<td>—</td>';
+
+                const previousRate = previousRun ? this.getPassRate(previousRun, modelId) : null;
+                const dropped = previousRate !== null && rate < previousRate;
+                return `<td class="${dropped ? 'benchmark-cell regression' : ''}">${Math.round(rate * 100)}%</td>`;
+            }).join('');
+            return `<tr><td>${escape(new Date(run.timestamp).toLocaleString())}</td>${cells}</tr>`;
+        }).reverse().join('');
+
+        container.innerHTML = `
+            <table class="metrics-table benchmark-table">
+                <thead><tr><th>Run history</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Edit a suite as JSON, or write a new one
+     */
+    openSuiteEditor(suite) {
+        const template = suite
+            ? { name: suite.name, ...(suite.judgeModel ? { judgeModel: suite.judgeModel } : {}), prompts: suite.prompts }
+            : { name: 'New suite', prompts: [{ prompt: 'Say hello', checks: [{ type: 'contains', value: 'hello' }] }] };
+
+        const content = `
+            <div class="metrics-dialog">
+                <p class="metrics-note">Check types: ${this.checkTypes.join(', ')}. Regex checks take optional "flags",
+                    contains checks "caseSensitive", judge checks a rubric "value" and "minScore" (default ${this.defaultMinScore}).
+                    Set "judgeModel" on the suite to pick the judge.</p>
+                <textarea id="benchmarkSuiteInput" class="import-textarea" rows="18"></textarea>
+                <div class="import-error"></div>
+                <div class="metrics-controls">
+                    <button class="export-btn" id="benchmarkSaveSuiteBtn">💾 Save suite</button>
+                </div>
+            </div>
+        `;
+
+        const editor = puterApp.showModal(suite ? 'Edit Suite' : 'New Suite', content);
+        const input = editor.querySelector('#benchmarkSuiteInput');
+        input.value = JSON.stringify(template, null, 2);
+
+        editor.querySelector('#benchmarkSaveSuiteBtn').addEventListener('click', () => {
+            let parsed;
+            try {
+                parsed = this.parseSuite(input.value, suite ? suite.id : this.generateId('suite'));
+            } catch (error) {
+                editor.querySelector('.import-error').textContent = error.message;
+                return;
+            }
+
+            const index = this.suites.findIndex(item => item.id === parsed.id);
+            if (index === -1) {
+                this.suites.push(parsed);
+            } else {
+                this.suites[index] = parsed;
+            }
+            this.saveSuites();
+            editor.remove();
+
+            if (this.modal && this.modal.isConnected) {
+                this.renderSuiteOptions(this.modal, parsed.id);
+                this.renderResults(this.modal);
+            }
+            puterUIManager.showNotification(`Saved suite "${parsed.name}"`);
+        });
+    }
+
+    /**
+     * Delete a suite and its run history
+     */
+    deleteSuite(suiteId) {
+        const suite = this.suites.find(item => item.id === suiteId);
+        if (!suite || !confirm(`Delete the suite "${suite.name}" and its run history?`)) return;
+
+        this.suites = this.suites.filter(item => item.id !== suiteId);
+        this.runs = this.runs.filter(run => run.suiteId !== suiteId);
+        if (this.suites.length === 0) {
+            this.suites.push(this.createSampleSuite());
+        }
+        this.saveSuites();
+        this.saveRuns();
+
+        if (this.modal && this.modal.isConnected) {
+            this.renderSuiteOptions(this.modal);
+            this.renderResults(this.modal);
+        }
+    }
+}
+
+// Create global instance
+window.puterBenchmarkManager = new PuterBenchmarkManager();
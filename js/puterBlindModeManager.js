@@ -0,0 +1,271 @@
+/**
+ * Puter Blind Mode Manager
+ * Shuffles the grid and hides model names behind letters until the user has voted
+ */
+
+class PuterBlindModeManager {
+    constructor() {
+        this.enabled = false;
+        this.revealed = false;
+        this.labels = new Map(); // modelId -> 'A', 'B', ...
+        this.roundId = null; // Round currently being judged
+        this.roundsKey = 'blindRounds';
+        this.rounds = {}; // roundId -> { labels, startedAt, revealedAt } for every round sent blind
+        this.maxRounds = 500; // Oldest records are dropped past this
+        this.elements = {
+            toggleButton: null,
+            revealButton: null,
+            leaderboardButton: null
+        };
+    }
+
+    /**
+     * Load the stored blind rounds and initialize the blind mode buttons
+     */
+    async init() {
+        const rounds = await puterStorageManager.getMeta(this.roundsKey);
+        if (rounds && typeof rounds === 'object') {
+            this.rounds = rounds;
+        }
+
+        this.elements.toggleButton = document.getElementById('gridBlindBtn');
+        this.elements.revealButton = document.getElementById('gridRevealBtn');
+        this.elements.leaderboardButton = document.getElementById('gridLeaderboardBtn');
+
+        if (this.elements.toggleButton) {
+            this.elements.toggleButton.addEventListener('click', () => this.toggle());
+        }
+        if (this.elements.revealButton) {
+            this.elements.revealButton.addEventListener('click', () => this.reveal());
+        }
+
+        this.updateButtons();
+        console.log('✅ Blind Mode Manager initialized');
+    }
+
+    /**
+     * Check whether grid prompts are being sent blind
+     */
+    isActive() {
+        return this.enabled;
+    }
+
+    /**
+     * Turn blind mode on or off
+     */
+    toggle() {
+        if (window.puterBenchmarkManager && puterBenchmarkManager.running) {
+            puterUIManager.showError('Wait for the benchmark run to finish');
+            return;
+        }
+
+        if (this.enabled) {
+            this.enabled = false;
+            this.revealed = true;
+            this.restoreOrder();
+            puterUIManager.showNotification('Blind mode off');
+        } else {
+            this.enabled = true;
+            this.revealed = false;
+            this.roundId = null;
+            this.shuffle();
+            puterUIManager.showNotification('Blind mode on: names stay hidden until you vote');
+        }
+
+        this.applyLabels();
+    }
+
+    /**
+     * Shuffle the grid windows and letter them in their new order
+     */
+    shuffle() {
+        const chatGrid = document.getElementById('chatGrid');
+        if (!chatGrid) return;
+
+        const windows = Array.from(chatGrid.querySelectorAll('.chat-window'));
+        for (let i = windows.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [windows[i], windows[j]] = [windows[j], windows[i]];
+        }
+
+        this.labels.clear();
+        windows.forEach((chatWindow, index) => {
+            chatGrid.appendChild(chatWindow);
+            this.labels.set(chatWindow.getAttribute('data-model'), puterUIManager.getLetterLabel(index));
+        });
+    }
+
+    /**
+     * Put the windows back in registry order
+     */
+    restoreOrder() {
+        const chatGrid = document.getElementById('chatGrid');
+        if (!chatGrid) return;
+
+        puterUIManager.chatWindows.forEach(messagesContainer => {
+            const chatWindow = messagesContainer.closest('.chat-window');
+            if (chatWindow) {
+                chatGrid.appendChild(chatWindow);
+            }
+        });
+    }
+
+    /**
+     * Start a blind round: reshuffle so earlier positions give nothing away
+     */
+    startRound(roundId) {
+        if (!this.enabled) return;
+
+        this.shuffle();
+        this.roundId = roundId;
+        this.revealed = false;
+        this.rounds[roundId] = { labels: Object.fromEntries(this.labels), startedAt: Date.now() };
+        this.saveRounds();
+        this.applyLabels();
+    }
+
+    /**
+     * Store the blind round records, keeping the newest
+     */
+    saveRounds() {
+        const roundIds = Object.keys(this.rounds);
+        if (roundIds.length > this.maxRounds) {
+            roundIds
+                .sort((a, b) => (this.rounds[a].startedAt || 0) - (this.rounds[b].startedAt || 0))
+                .slice(0, roundIds.length - this.maxRounds)
+                .forEach(roundId => delete this.rounds[roundId]);
+        }
+        puterStorageManager.setMeta(this.roundsKey, this.rounds);
+    }
+
+    /**
+     * Get the blind record of a round, if it was sent blind
+     */
+    getRoundRecord(roundId) {
+        return this.rounds[roundId] || null;
+    }
+
+    /**
+     * Check whether names are hidden in the grid right now
+     */
+    isConcealed() {
+        return this.enabled && !this.revealed;
+    }
+
+    /**
+     * Check whether a model's name is currently hidden
+     */
+    isHidden(modelId) {
+        return this.isConcealed() && this.labels.has(modelId);
+    }
+
+    /**
+     * Name to show for a grid model right now
+     */
+    displayName(modelId) {
+        return this.isHidden(modelId)
+            ? `Model ${this.labels.get(modelId)}`
+            : puterUIManager.getModelDisplayName(modelId);
+    }
+
+    /**
+     * Update every window header for the current blind state
+     */
+    applyLabels() {
+        const chatGrid = document.getElementById('chatGrid');
+        if (chatGrid) {
+            chatGrid.classList.toggle('blind', this.isConcealed());
+        }
+
+        puterUIManager.chatWindows.forEach((messagesContainer, modelId) => {
+            const chatWindow = messagesContainer.closest('.chat-window');
+            if (!chatWindow) return;
+
+            const label = this.labels.get(modelId);
+            const realName = puterUIManager.getModelDisplayName(modelId);
+            const name = this.isHidden(modelId)
+                ? `Model ${label}`
+                : (this.enabled && label ? `${label} · ${realName}` : realName);
+
+            const nameElement = chatWindow.querySelector('.model-name');
+            if (nameElement) {
+                nameElement.textContent = name;
+                nameElement.title = name;
+            }
+
+            const iconElement = chatWindow.querySelector('.model-icon');
+            if (iconElement) {
+                if (this.isHidden(modelId)) {
+                    iconElement.textContent = label;
+                } else {
+                    iconElement.innerHTML = puterUIManager.getModelIcon(modelId);
+                }
+            }
+
+            const placeholder = chatWindow.querySelector('.placeholder-text');
+            if (placeholder) {
+                placeholder.textContent = `Ready to chat with ${this.displayName(modelId)}`;
+            }
+        });
+
+        this.updateButtons();
+    }
+
+    /**
+     * Reveal once every answer in the blind round has a vote or rank
+     */
+    onVote(roundId) {
+        if (!this.enabled || this.revealed || roundId !== this.roundId) return;
+
+        const round = puterChatManager.getRounds().find(entry => entry.id === roundId);
+        const ballot = puterLeaderboardManager.getBallot(roundId);
+        if (!round || !ballot) return;
+
+        // Fallback answers can't be voted on, so they don't hold up the reveal
+        const allJudged = round.responses.filter(response => !response.answeredBy).every(response =>
+            ballot.votes[response.modelId] !== undefined || ballot.ranks[response.modelId] !== undefined);
+        if (allJudged) {
+            this.reveal();
+        }
+    }
+
+    /**
+     * Show the real model names
+     */
+    reveal() {
+        if (!this.enabled || this.revealed) return;
+
+        this.revealed = true;
+        const record = this.roundId ? this.rounds[this.roundId] : null;
+        if (record) {
+            record.revealedAt = Date.now();
+            this.saveRounds();
+            if (window.puterLeaderboardManager) {
+                puterLeaderboardManager.markRevealed(this.roundId, record.revealedAt);
+            }
+        }
+        this.applyLabels();
+        puterUIManager.showNotification('Model names revealed');
+    }
+
+    /**
+     * Reflect the blind state on the toolbar buttons
+     */
+    updateButtons() {
+        if (this.elements.toggleButton) {
+            this.elements.toggleButton.classList.toggle('active', this.enabled);
+            this.elements.toggleButton.textContent = this.enabled ? '🙈 Blind: on' : '🙈 Blind';
+        }
+        if (this.elements.revealButton) {
+            this.elements.revealButton.style.display = this.isConcealed() ? '' : 'none';
+        }
+        // Standings by name would tell which model a vote just went to
+        if (this.elements.leaderboardButton) {
+            this.elements.leaderboardButton.disabled = this.isConcealed();
+            this.elements.leaderboardButton.title = this.isConcealed() ? 'Available once the names are revealed' : 'Votes per model';
+        }
+    }
+}
+
+// Create global instance
+window.puterBlindModeManager = new PuterBlindModeManager();
@@ -0,0 +1,226 @@
+/**
+ * Puter Broadcast Queue
+ * Caps how many grid models answer an All-in-One broadcast at once; the rest wait in a queue
+ * that can be reordered or trimmed before they start
+ */
+
+class PuterBroadcastQueue {
+    constructor() {
+        this.favoritesKey = 'favoriteModels';
+        this.policyKey = 'broadcastPolicy';
+        this.favorites = new Set();
+        this.policy = {
+            concurrency: 6, // Models answering at the same time
+            priority: 'favorites' // 'favorites' starts favorite models first, 'grid' keeps the grid order
+        };
+        this.queue = []; // [{ modelId, start, batch }] waiting to start, in start order
+        this.running = 0;
+    }
+
+    /**
+     * Load the saved policy and favorites and bind the queue and favorite buttons
+     */
+    async init() {
+        const [favorites, policy] = await Promise.all([
+            puterStorageManager.getMeta(this.favoritesKey),
+            puterStorageManager.getMeta(this.policyKey)
+        ]);
+        if (Array.isArray(favorites)) {
+            this.favorites = new Set(favorites.filter(modelId => puterModelCapabilities.getModel(modelId)));
+        }
+        if (policy && typeof policy === 'object') {
+            this.policy = {
+                concurrency: Number.isInteger(policy.concurrency) && policy.concurrency > 0 ? policy.concurrency : this.policy.concurrency,
+                priority: policy.priority === 'grid' ? 'grid' : 'favorites'
+            };
+        }
+        this.updateFavoriteButtons();
+        puterUIManager.syncQueueControls();
+
+        document.addEventListener('click', (e) => {
+            const favoriteButton = e.target.closest('.model-favorite-btn');
+            if (favoriteButton) {
+                e.preventDefault();
+                this.toggleFavorite(favoriteButton.getAttribute('data-model'));
+                return;
+            }
+
+            const button = e.target.closest('[data-queue-action]');
+            if (!button) return;
+
+            e.preventDefault();
+            const modelId = button.getAttribute('data-model');
+            const action = button.getAttribute('data-queue-action');
+            if (action === 'up') {
+                this.move(modelId, -1);
+            } else if (action === 'down') {
+                this.move(modelId, 1);
+            } else if (action === 'drop') {
+                this.drop(modelId);
+            }
+        });
+
+        console.log('✅ Broadcast Queue initialized');
+    }
+
+    /**
+     * Update and save the queue policy
+     */
+    setPolicy(policy = {}) {
+        this.policy = { ...this.policy, ...policy };
+        puterStorageManager.setMeta(this.policyKey, this.policy);
+        this.pump();
+    }
+
+    /**
+     * Check whether a model is a favorite
+     */
+    isFavorite(modelId) {
+        return this.favorites.has(modelId);
+    }
+
+    /**
+     * Star or unstar a model
+     */
+    toggleFavorite(modelId) {
+        if (!modelId) return;
+
+        if (this.favorites.has(modelId)) {
+            this.favorites.delete(modelId);
+        } else {
+            this.favorites.add(modelId);
+        }
+        puterStorageManager.setMeta(this.favoritesKey, [...this.favorites]);
+        this.updateFavoriteButtons();
+    }
+
+    /**
+     * Fill the star of every favorite window
+     */
+    updateFavoriteButtons() {
+        document.querySelectorAll('.model-favorite-btn').forEach(button => {
+            const favorite = this.isFavorite(button.getAttribute('data-model'));
+            button.classList.toggle('active', favorite);
+            button.title = favorite ? 'Favorite: starts first in the queue' : 'Mark as favorite';
+        });
+    }
+
+    /**
+     * Order models for a broadcast
+     */
+    prioritize(modelIds) {
+        // Blind windows start in their shuffled order so the queue doesn't give them away
+        if (window.puterBlindModeManager && puterBlindModeManager.isActive()) {
+            const windowOrder = Array.from(document.querySelectorAll('#chatGrid .chat-window'))
+                .map(chatWindow => chatWindow.getAttribute('data-model'));
+            const position = modelId => {
+                const index = windowOrder.indexOf(modelId);
+                return index === -1 ? windowOrder.length : index;
+            };
+            return [...modelIds].sort((a, b) => position(a) - position(b));
+        }
+
+        if (this.policy.priority !== 'favorites') {
+            return [...modelIds];
+        }
+        return [
+            ...modelIds.filter(modelId => this.isFavorite(modelId)),
+            ...modelIds.filter(modelId => !this.isFavorite(modelId))
+        ];
+    }
+
+    /**
+     * Start `start(modelId)` for every model, at most `policy.concurrency` at a time.
+     * Resolves once each model has finished or was dropped from the queue.
+     */
+    run(modelIds, start) {
+        // A window waits in the queue once; a second prompt for it is dropped rather than stacked
+        const ordered = this.prioritize(modelIds).filter(modelId => {
+            if (!this.isQueued(modelId)) return true;
+            puterUIManager.showDroppedFromQueue(modelId);
+            return false;
+        });
+        if (ordered.length === 0) return Promise.resolve();
+
+        return new Promise(resolve => {
+            const batch = { pending: ordered.length, resolve };
+            ordered.forEach(modelId => this.queue.push({ modelId, start, batch }));
+            this.pump();
+        });
+    }
+
+    /**
+     * Start queued models while there are free slots
+     */
+    pump() {
+        while (this.running < this.policy.concurrency && this.queue.length > 0) {
+            const entry = this.queue.shift();
+            this.running++;
+            puterUIManager.removeQueuePosition(entry.modelId);
+
+            Promise.resolve()
+                .then(() => entry.start(entry.modelId))
+                .catch(error => console.error(`Error with model ${entry.modelId}:`, error))
+                .finally(() => {
+                    this.running--;
+                    this.settle(entry);
+                    this.pump();
+                });
+        }
+
+        this.queue.forEach((entry, index) => puterUIManager.showQueuePosition(entry.modelId, index + 1));
+    }
+
+    /**
+     * Count a model of a broadcast as done
+     */
+    settle(entry) {
+        entry.batch.pending--;
+        if (entry.batch.pending === 0) {
+            entry.batch.resolve();
+        }
+    }
+
+    /**
+     * Move a queued model earlier (-1) or later (1)
+     */
+    move(modelId, offset) {
+        const index = this.queue.findIndex(entry => entry.modelId === modelId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.queue.length) return;
+
+        [this.queue[index], this.queue[target]] = [this.queue[target], this.queue[index]];
+        this.pump();
+    }
+
+    /**
+     * Take a model out of the queue before it starts
+     */
+    drop(modelId) {
+        const index = this.queue.findIndex(entry => entry.modelId === modelId);
+        if (index === -1) return;
+
+        const [entry] = this.queue.splice(index, 1);
+        puterUIManager.removeQueuePosition(modelId);
+        puterUIManager.showDroppedFromQueue(modelId);
+        this.settle(entry);
+        this.pump();
+    }
+
+    /**
+     * Drop every queued model, e.g. when all generations are stopped
+     */
+    clear() {
+        [...this.queue].forEach(entry => this.drop(entry.modelId));
+    }
+
+    /**
+     * Check whether a model is waiting in the queue
+     */
+    isQueued(modelId) {
+        return this.queue.some(entry => entry.modelId === modelId);
+    }
+}
+
+// Create global instance
+window.puterBroadcastQueue = new PuterBroadcastQueue();
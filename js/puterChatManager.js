@@ -6,12 +6,307 @@
 class PuterChatManager {
     constructor() {
         this.currentStreamingMessage = null;
+        this.conversationHistories = new Map(); // Per-model conversation turns for the grid windows
+        this.judgements = {}; // roundId -> judge verdict on that round's answers
+        this.contextPolicy = {
+            maxTurns: 10,
+            maxCharacters: 16000
+        };
+        this.activeGenerations = new Map(); // modelId -> AbortController for in-flight requests
+        this.maxQuotedCharacters = 6000; // Answers quoted to another model are cut so big grids still fit its context
+        this.failedRequests = new Map(); // modelId -> { message, images, roundId } of the last failed reply
+        this.fallbackPolicy = {
+            enabled: true,
+            maxFallbacks: 2 // Fallback models tried per reply before giving up
+        };
+        this.idleWaiters = [];
     }
 
     /**
-     * Send message to all specified models
+     * Register an in-flight generation for a grid window
      */
-    async sendMessageToAllModels(message, images = [], modelIds = []) {
+    startGeneration(modelId) {
+        this.stopGeneration(modelId);
+        const controller = new AbortController();
+        this.activeGenerations.set(modelId, controller);
+        puterUIManager.setWindowGenerating(modelId, true);
+        return controller;
+    }
+
+    /**
+     * Unregister a generation once it has settled
+     */
+    finishGeneration(modelId, controller) {
+        if (this.activeGenerations.get(modelId) === controller) {
+            this.activeGenerations.delete(modelId);
+            puterUIManager.setWindowGenerating(modelId, false);
+        }
+
+        if (this.activeGenerations.size === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Resolve once no grid window is generating
+     */
+    whenIdle() {
+        if (this.activeGenerations.size === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Stop the generation running in one grid window
+     */
+    stopGeneration(modelId) {
+        const controller = this.activeGenerations.get(modelId);
+        if (controller) {
+            controller.abort();
+        }
+    }
+
+    /**
+     * Stop every generation running in the grid
+     */
+    stopAllGenerations() {
+        // Queued models are dropped first so stopping doesn't free slots for them
+        puterBroadcastQueue.clear();
+        this.activeGenerations.forEach(controller => controller.abort());
+    }
+
+    /**
+     * Check whether any grid window is still generating
+     */
+    hasActiveGenerations() {
+        return this.activeGenerations.size > 0;
+    }
+
+    /**
+     * Race a promise against an abort signal
+     */
+    abortable(promise, signal) {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.reject(this.createAbortError());
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(this.createAbortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(
+                value => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                },
+                error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Wrap a response stream so a `for await` loop ends as soon as the signal aborts
+     */
+    async *abortableStream(stream, signal) {
+        const iterator = stream[Symbol.asyncIterator]();
+        try {
+            while (true) {
+                const { value, done } = await this.abortable(iterator.next(), signal);
+                if (done) return;
+                yield value;
+            }
+        } finally {
+            if (typeof iterator.return === 'function') {
+                Promise.resolve(iterator.return()).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Create the error thrown when a generation is stopped
+     */
+    createAbortError() {
+        const error = new Error('Generation stopped');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Check whether an error comes from a stopped generation
+     */
+    isAbortError(error) {
+        return error?.name === 'AbortError';
+    }
+
+    /**
+     * Get conversation history for a grid window
+     */
+    getHistory(modelId) {
+        if (!this.conversationHistories.has(modelId)) {
+            this.conversationHistories.set(modelId, []);
+        }
+        return this.conversationHistories.get(modelId);
+    }
+
+    /**
+     * Append a turn to a grid window's history
+     */
+    appendToHistory(modelId, role, content, details = {}) {
+        this.getHistory(modelId).push({ role, content, timestamp: Date.now(), ...details });
+        this.notifyHistoryChanged();
+    }
+
+    /**
+     * Forget everything said so far in a grid window
+     */
+    resetContext(modelId) {
+        this.conversationHistories.set(modelId, []);
+        this.notifyHistoryChanged();
+    }
+
+    /**
+     * Replace all grid histories, e.g. when a stored conversation is restored
+     */
+    loadHistories(windows = {}, judgements = {}) {
+        this.conversationHistories.clear();
+        for (const [modelId, history] of Object.entries(windows)) {
+            this.conversationHistories.set(modelId, history.map(entry => ({ ...entry })));
+        }
+        this.judgements = { ...judgements };
+    }
+
+    /**
+     * Get the judge verdict saved for a round
+     */
+    getJudgement(roundId) {
+        return this.judgements[roundId] || null;
+    }
+
+    /**
+     * Save a judge verdict with its round
+     */
+    setJudgement(roundId, judgement) {
+        this.judgements[roundId] = judgement;
+        this.notifyHistoryChanged();
+    }
+
+    /**
+     * Let the storage layer know the grid conversation changed
+     */
+    notifyHistoryChanged() {
+        if (window.puterStorageManager) {
+            puterStorageManager.scheduleSave('grid');
+        }
+    }
+
+    /**
+     * Strip stored metadata so only role and content reach the API
+     */
+    toApiMessages(history) {
+        return history.map(({ role, content, images }, index) => {
+            if (!images || images.length === 0) {
+                return { role, content };
+            }
+
+            // Images go with the turn they were attached to; later turns only mention them
+            if (index < history.length - 1) {
+                const names = images.map(image => image.name || 'image').join(', ');
+                return { role, content: `${content || ''}\n[Attached earlier: ${names}]`.trim() };
+            }
+
+            // Vision turns carry their images as content parts
+            return {
+                role,
+                content: [
+                    ...(content ? [{ type: 'text', text: content }] : []),
+                    ...images.map(image => ({ type: 'image_url', image_url: { url: image.url } }))
+                ]
+            };
+        });
+    }
+
+    /**
+     * Update the context truncation policy
+     */
+    setContextPolicy(policy = {}) {
+        this.contextPolicy = { ...this.contextPolicy, ...policy };
+    }
+
+    /**
+     * Trim a history to the configured max turns and max characters.
+     * A turn starts at a user message; the latest message is always kept.
+     */
+    truncateHistory(history) {
+        const { maxTurns, maxCharacters } = this.contextPolicy;
+        let truncated = [...history];
+
+        // Keep only the last N user-initiated turns
+        let userTurns = 0;
+        for (let i = truncated.length - 1; i >= 0; i--) {
+            if (truncated[i].role === 'user') {
+                userTurns++;
+                if (userTurns > maxTurns) {
+                    truncated = truncated.slice(i + 1);
+                    break;
+                }
+            }
+        }
+
+        // Drop the oldest messages until we fit the character budget
+        const countCharacters = (messages) => messages.reduce((total, msg) => total + (msg.content || '').length, 0);
+        while (truncated.length > 1 && countCharacters(truncated) > maxCharacters) {
+            truncated.shift();
+        }
+
+        // Never start the context with a dangling assistant reply
+        while (truncated.length > 1 && truncated[0].role !== 'user') {
+            truncated.shift();
+        }
+
+        return truncated;
+    }
+
+    /**
+     * Build the identity system prompt for a model.
+     * Blind comparisons get a neutral prompt so answers don't give the model away.
+     */
+    buildSystemPrompt(model, blind = false) {
+        if (blind) {
+            return 'You are a helpful AI assistant. Do not mention your model name or the company that created you.';
+        }
+        return `You are ${model.name}. Always identify yourself correctly as ${model.name} when asked about your identity. Do not claim to be ChatGPT or any other model.`;
+    }
+
+    /**
+     * Flatten a message list into a plain-text transcript for APIs that only take a string
+     */
+    buildTranscript(systemPrompt, history) {
+        const lines = history.map(msg => {
+            const text = Array.isArray(msg.content)
+                ? msg.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+                : msg.content;
+            return `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${text}`;
+        });
+        return `${systemPrompt}\n\n${lines.join('\n\n')}`;
+    }
+
+    /**
+     * Send a plain-text prompt, attaching the latest turn's images when there are any
+     */
+    requestTranscript(transcript, imageUrls, options) {
+        if (imageUrls.length > 0) {
+            return puter.ai.chat(transcript, imageUrls, false, options);
+        }
+        return puter.ai.chat(transcript, options);
+    }
+
+    /**
+     * Send message to all specified models and return the round id.
+     * With options.isolated each model answers without the window's earlier turns.
+     */
+    async sendMessageToAllModels(message, images = [], modelIds = [], options = {}) {
         // Filter out disabled models
         const enabledModelIds = modelIds.filter(modelId => {
             return puterUIManager.isModelEnabled(modelId);
@@ -19,14 +314,104 @@ class PuterChatManager {
 
         console.log(`Sending to ${enabledModelIds.length} enabled models out of ${modelIds.length} total models`);
 
-        // Send to each enabled model concurrently
-        const promises = enabledModelIds.map(modelId => this.sendMessageToModel(message, images, modelId));
-        
+        // Every answer to this broadcast belongs to the same round
+        const roundId = this.generateRoundId();
+        if (window.puterBlindModeManager) {
+            puterBlindModeManager.startRound(roundId);
+        }
+
+        // Models start as the queue frees slots, up to the concurrency cap
         try {
-            await Promise.allSettled(promises);
+            await puterBroadcastQueue.run(enabledModelIds, modelId =>
+                this.sendMessageToModel(message, images, modelId, { roundId, isolated: options.isolated, fallbacks: options.fallbacks }));
         } catch (error) {
             console.error('Error sending to models:', error);
         }
+
+        return roundId;
+    }
+
+    /**
+     * Create an id shared by all answers to one broadcast
+     */
+    generateRoundId() {
+        return `round-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Group the grid histories into rounds: one prompt and every model's answer to it
+     */
+    getRounds() {
+        const rounds = new Map();
+
+        this.conversationHistories.forEach((history, modelId) => {
+            let userTurn = -1;
+            let currentRound = null;
+
+            history.forEach(entry => {
+                if (entry.role === 'user') {
+                    userTurn++;
+                    // Histories saved before rounds existed are grouped by turn position
+                    const roundId = entry.roundId || `turn-${userTurn}`;
+                    if (!rounds.has(roundId)) {
+                        rounds.set(roundId, {
+                            id: roundId,
+                            prompt: entry.content,
+                            timestamp: entry.timestamp,
+                            responses: [],
+                            judgement: this.getJudgement(roundId)
+                        });
+                    }
+                    currentRound = rounds.get(roundId);
+                } else if (entry.role === 'assistant' && currentRound) {
+                    currentRound.responses.push({
+                        modelId,
+                        content: entry.content,
+                        parameters: entry.parameters || null,
+                        metrics: entry.metrics || null,
+                        answeredBy: entry.answeredBy || null,
+                        stopped: !!entry.stopped,
+                        timestamp: entry.timestamp
+                    });
+                }
+            });
+        });
+
+        return [...rounds.values()].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+
+    /**
+     * The round's finished answers from enabled grid windows, one per window.
+     * Answers stopped part way are left out.
+     */
+    getFinishedAnswers(round) {
+        const answers = new Map();
+        round.responses.forEach(response => {
+            const { modelId } = response;
+            if (puterUIManager.chatWindows.has(modelId) && puterUIManager.isModelEnabled(modelId) &&
+                response.content && !response.stopped) {
+                answers.set(modelId, { modelId, content: String(response.content), answeredBy: response.answeredBy });
+            }
+        });
+        return [...answers.values()];
+    }
+
+    /**
+     * Cut an answer to the length it may be quoted to another model
+     */
+    truncateForQuote(content) {
+        const text = String(content || '');
+        return text.length > this.maxQuotedCharacters
+            ? `${text.slice(0, this.maxQuotedCharacters)}\n[answer truncated]`
+            : text;
+    }
+
+    /**
+     * Get the most recent grid round
+     */
+    getLatestRound() {
+        const rounds = this.getRounds();
+        return rounds.length > 0 ? rounds[rounds.length - 1] : null;
     }
 
     /**
@@ -49,7 +434,24 @@ class PuterChatManager {
     /**
      * Send message to a specific model
      */
-    async sendMessageToModel(message, images = [], modelId) {
+    async sendMessageToModel(message, images = [], modelId, options = {}) {
+        // A newer prompt replaces whatever failed before
+        this.failedRequests.delete(modelId);
+
+        // Models that cannot see images sit this round out
+        if (images.length > 0 && !puterModelCapabilities.supportsVision(modelId)) {
+            puterUIManager.showVisionSkipped(modelId);
+            return;
+        }
+
+        const roundId = options.roundId || this.generateRoundId();
+        // Regenerated replies carry the answers they replaced
+        const replyDetails = options.previousVersions
+            ? { roundId, previousVersions: options.previousVersions }
+            : { roundId };
+        const controller = this.startGeneration(modelId);
+        const signal = controller.signal;
+
         try {
             // Show typing indicator
             puterUIManager.showTypingIndicator(modelId);
@@ -60,84 +462,294 @@ class PuterChatManager {
                 throw new Error(`Model ${modelId} not found`);
             }
 
-            let response;
+            // Handle the chat with the window's prior turns
+            const imageDetails = images.length > 0
+                ? { images: images.map(({ name, url }) => ({ name, url })) }
+                : {};
+            this.appendToHistory(modelId, 'user', message, { roundId, ...imageDetails });
+            const imageUrls = images.map(image => image.url);
+            const context = options.isolated ? this.getHistory(modelId).slice(-1) : this.truncateHistory(this.getHistory(modelId));
+            const history = this.toApiMessages(context);
+
+            // The window's own model first, then its fallbacks if the policy and the caller allow
+            const fallbacks = options.fallbacks === false ? [] : this.getFallbackChain(modelId, images.length > 0);
+            const chain = [modelId, ...fallbacks];
+            let lastError = null;
+
+            for (const [attempt, answeringModelId] of chain.entries()) {
+                if (attempt > 0) {
+                    puterUIManager.removeTypingIndicator(modelId);
+                    puterUIManager.showFallbackAttempt(modelId, chain[attempt - 1], answeringModelId, lastError);
+                    puterUIManager.showTypingIndicator(modelId);
+                }
 
-            if (images.length > 0) {
-                // Images not supported - show error message
-                response = `❌ Image analysis is not supported in this version.`;
-            } else {
-                // Handle text chat
-                // Create proper messages array with system message
-                const messages = [
-                    {
-                        role: "system",
-                        content: `You are ${model.name}. Always identify yourself correctly as ${model.name} when asked about your identity. Do not claim to be ChatGPT or any other model.`
-                    },
-                    {
-                        role: "user", 
-                        content: message
-                    }
-                ];
-                
                 try {
-                    // Try streaming first with messages array
-                    const streamResponse = await puter.ai.chat(messages, { 
-                        ...model.parameters, 
-                        stream: true 
-                    });
-                    
-                    if (streamResponse && typeof streamResponse[Symbol.asyncIterator] === 'function') {
-                        await this.handleStreamingResponseForModel(streamResponse, modelId);
-                        return;
-                    }
-                } catch (e) {
-                    // Try fallback approaches
-                    
-                    // Fallback 1: Try with simple message + system instruction
-                    try {
-                        const systemMessage = `You are ${model.name}. Always identify yourself correctly as ${model.name} when asked about your identity. Do not claim to be ChatGPT or any other model.`;
-                        const fullMessage = `${systemMessage}\n\nUser: ${message}`;
-                        
-                        const streamResponse2 = await puter.ai.chat(fullMessage, { 
-                            ...model.parameters, 
-                            stream: true 
-                        });
-                        
-                        if (streamResponse2 && typeof streamResponse2[Symbol.asyncIterator] === 'function') {
-                            await this.handleStreamingResponseForModel(streamResponse2, modelId);
-                            return;
+                    const reply = await puterRequestScheduler.run(modelId,
+                        () => this.requestReply(modelId, answeringModelId, history, imageUrls, signal), signal);
+
+                    // A stopped reply is kept as it is rather than handed to a fallback
+                    if (reply.content || signal.aborted) {
+                        const fallbackDetails = attempt > 0 ? { answeredBy: answeringModelId } : {};
+                        const stoppedDetails = signal.aborted ? { stopped: true } : {};
+                        if (attempt > 0 && reply.content) {
+                            puterUIManager.markFallbackAnswer(modelId, answeringModelId);
                         }
-                    } catch (e2) {
-                        // Use direct response as final fallback
+                        this.recordAssistantReply(modelId, reply.content, {
+                            parameters: reply.parameters,
+                            ...replyDetails,
+                            ...fallbackDetails,
+                            ...stoppedDetails,
+                            metrics: reply.metrics
+                        });
+                        return;
                     }
-                }
 
-                // Direct response fallback - try messages array first
-                try {
-                    response = await puter.ai.chat(messages, model.parameters);
-                } catch (e) {
-                    // Final fallback: simple message with system instruction
-                    const systemMessage = `You are ${model.name}. Always identify yourself correctly as ${model.name} when asked about your identity. Do not claim to be ChatGPT or any other model.`;
-                    const fullMessage = `${systemMessage}\n\nUser: ${message}`;
-                    response = await puter.ai.chat(fullMessage, model.parameters);
+                    // An empty reply moves on to the next fallback
+                    lastError = null;
+                } catch (error) {
+                    if (this.isAbortError(error)) throw error;
+                    lastError = error;
+
+                    // Fallbacks share the same sign-in, so they would fail the same way
+                    if (puterRequestScheduler.classifyError(error).kind === 'auth') break;
+                    if (attempt < chain.length - 1) {
+                        console.warn(`⚠️ ${answeringModelId} failed, trying a fallback:`, error);
+                    }
                 }
             }
 
-            // Remove typing indicator and display response
-            puterUIManager.removeTypingIndicator(modelId);
-            this.displayResponseForModel(response, modelId);
+            if (lastError) throw lastError;
+            this.recordAssistantReply(modelId, null);
 
         } catch (error) {
-            console.error(`Error with model ${modelId}:`, error);
+            this.recordAssistantReply(modelId, null);
             puterUIManager.removeTypingIndicator(modelId);
-            puterUIManager.displayAssistantMessage(modelId, `Error: ${error.message}`);
+
+            if (this.isAbortError(error)) {
+                const messageDiv = puterUIManager.displayAssistantMessage(modelId, '');
+                puterUIManager.markMessageStopped(messageDiv);
+                return;
+            }
+
+            console.error(`Error with model ${modelId}:`, error);
+            const messageDiv = puterUIManager.displayAssistantMessage(modelId, `Error: ${puterRequestScheduler.describeError(error, modelId)}`);
+
+            // A failed regeneration puts the old answer back; the regenerate button retries it
+            if (!options.previousVersions) {
+                this.failedRequests.set(modelId, { message, images, roundId, messageDiv });
+                puterUIManager.addRetryButton(messageDiv, modelId);
+            }
+        } finally {
+            this.finishGeneration(modelId, controller);
+        }
+    }
+
+    /**
+     * Send a window's failed prompt again
+     */
+    async retryFailedRequest(modelId) {
+        const failed = this.failedRequests.get(modelId);
+        if (!failed) {
+            puterUIManager.showError('Nothing to retry in this window');
+            return;
+        }
+        if (this.activeGenerations.has(modelId) || puterBroadcastQueue.isQueued(modelId)) {
+            puterUIManager.showError('Wait for this model to finish first');
+            return;
+        }
+
+        // The failed prompt already left the history, so only the error bubble goes
+        if (failed.messageDiv) {
+            failed.messageDiv.remove();
+        }
+        // Retries wait for a slot like any other request
+        await puterBroadcastQueue.run([modelId], () =>
+            this.sendMessageToModel(failed.message, failed.images, modelId, { roundId: failed.roundId }));
+    }
+
+    /**
+     * Request one reply for a grid window from the given model, trying streaming first.
+     * Returns { content, parameters, metrics }.
+     */
+    async requestReply(modelId, answeringModelId, history, imageUrls, signal) {
+        const model = puterModelCapabilities.getModel(answeringModelId);
+        if (!model) {
+            throw new Error(`Model ${answeringModelId} not found`);
         }
+
+        const parameters = puterParameterManager.resolve(answeringModelId);
+        const blind = window.puterBlindModeManager ? puterBlindModeManager.isActive() : false;
+        const systemPrompt = this.buildSystemPrompt(model, blind);
+        const messages = [
+            {
+                role: "system",
+                content: systemPrompt
+            },
+            ...history
+        ];
+
+        // Each attempt is timed on its own, so backoff waits and failed attempts don't count
+        const tracker = puterMetricsManager.startTracking();
+        let streamed = false;
+        try {
+            // Try streaming first with messages array
+            const streamResponse = await this.abortable(puter.ai.chat(messages, { 
+                ...parameters, 
+                stream: true 
+            }), signal);
+            
+            if (streamResponse && typeof streamResponse[Symbol.asyncIterator] === 'function') {
+                streamed = true;
+                const content = await this.handleStreamingResponseForModel(streamResponse, modelId, signal, tracker);
+                return { content, parameters, metrics: tracker.metrics };
+            }
+        } catch (e) {
+            // Only format problems are worth the other request shapes; the scheduler handles the rest,
+            // including streams that broke off after they started
+            if (this.isAbortError(e) || streamed || puterRequestScheduler.classifyError(e).kind !== 'unknown') throw e;
+
+            // Try fallback approaches
+            
+            // Fallback 1: Try with the conversation flattened into a single prompt
+            try {
+                const fullMessage = this.buildTranscript(systemPrompt, history);
+                
+                const streamResponse2 = await this.abortable(this.requestTranscript(fullMessage, imageUrls, { 
+                    ...parameters, 
+                    stream: true 
+                }), signal);
+                
+                if (streamResponse2 && typeof streamResponse2[Symbol.asyncIterator] === 'function') {
+                    streamed = true;
+                    const content = await this.handleStreamingResponseForModel(streamResponse2, modelId, signal, tracker);
+                    return { content, parameters, metrics: tracker.metrics };
+                }
+            } catch (e2) {
+                if (this.isAbortError(e2) || streamed || puterRequestScheduler.classifyError(e2).kind !== 'unknown') throw e2;
+                // Use direct response as final fallback
+            }
+        }
+
+        // Direct response fallback - try messages array first
+        let response;
+        try {
+            response = await this.abortable(puter.ai.chat(messages, parameters), signal);
+        } catch (e) {
+            if (this.isAbortError(e) || puterRequestScheduler.classifyError(e).kind !== 'unknown') throw e;
+
+            // Final fallback: flattened conversation
+            const fullMessage = this.buildTranscript(systemPrompt, history);
+            response = await this.abortable(this.requestTranscript(fullMessage, imageUrls, parameters), signal);
+        }
+
+        const content = this.extractContentFromResponse(response);
+        const metrics = puterMetricsManager.finish(tracker, content, response);
+
+        // Remove typing indicator and display response
+        puterUIManager.removeTypingIndicator(modelId);
+        puterMetricsManager.attach(this.displayResponseForModel(response, modelId), metrics);
+        return { content, parameters, metrics };
     }
 
     /**
-     * Handle streaming response for a specific model
+     * Models to try after a window's own model fails, following the registry's fallback chains
      */
-    async handleStreamingResponseForModel(response, modelId) {
+    getFallbackChain(modelId, needsVision = false) {
+        const { enabled, maxFallbacks } = this.fallbackPolicy;
+        if (!enabled) return [];
+
+        const chain = [];
+        const seen = new Set([modelId]);
+        const pending = [...puterModelCapabilities.getFallbacks(modelId)];
+
+        while (pending.length > 0 && chain.length < maxFallbacks) {
+            const candidate = pending.shift();
+            if (seen.has(candidate)) continue;
+            seen.add(candidate);
+
+            if (!needsVision || puterModelCapabilities.supportsVision(candidate)) {
+                chain.push(candidate);
+            }
+            // A fallback's own fallbacks come after the ones listed directly
+            pending.push(...puterModelCapabilities.getFallbacks(candidate));
+        }
+
+        return chain;
+    }
+
+    /**
+     * Update the fallback policy
+     */
+    setFallbackPolicy(policy = {}) {
+        this.fallbackPolicy = { ...this.fallbackPolicy, ...policy };
+    }
+
+    /**
+     * Ask a grid model to answer its last prompt again, keeping the old answer as a previous version
+     */
+    async regenerateForModel(modelId) {
+        if (this.activeGenerations.has(modelId) || puterBroadcastQueue.isQueued(modelId)) {
+            puterUIManager.showError('Wait for this model to finish first');
+            return;
+        }
+
+        const history = this.getHistory(modelId);
+        const answer = history[history.length - 1];
+        const prompt = history[history.length - 2];
+        if (!answer || answer.role !== 'assistant' || !prompt || prompt.role !== 'user') {
+            puterUIManager.showError('There is no answer to regenerate');
+            return;
+        }
+
+        const previousVersions = [
+            ...(answer.previousVersions || []),
+            { content: answer.content, timestamp: answer.timestamp, parameters: answer.parameters }
+        ];
+
+        const roundId = prompt.roundId || this.generateRoundId();
+
+        history.splice(-2);
+        // The old bubble keeps its votes and labels in case it has to come back
+        const detached = puterUIManager.detachLastAssistantMessage(modelId);
+
+        await puterBroadcastQueue.run([modelId], () =>
+            this.sendMessageToModel(prompt.content, prompt.images || [], modelId, { roundId, previousVersions }));
+
+        // Keep the old answer when the new one failed
+        const latest = this.getHistory(modelId).slice(-1)[0];
+        if (!latest || latest.role !== 'assistant' || latest.roundId !== roundId) {
+            this.getHistory(modelId).push(prompt, answer);
+            this.notifyHistoryChanged();
+            puterUIManager.restoreDetachedMessage(detached);
+        } else {
+            puterUIManager.discardDetachedMessage(detached);
+        }
+    }
+
+    /**
+     * Store a completed reply in the window history.
+     * Without a reply the unanswered user turn is dropped so roles keep alternating.
+     */
+    recordAssistantReply(modelId, content, details = {}) {
+        const history = this.getHistory(modelId);
+        if (content) {
+            this.appendToHistory(modelId, 'assistant', content, details);
+
+            // The answer is on screen by now, so it can be voted on, unless another model wrote it
+            if (details.roundId && !details.answeredBy && window.puterLeaderboardManager) {
+                puterLeaderboardManager.attachToLatestAnswer(modelId, details.roundId);
+            }
+        } else if (history.length > 0 && history[history.length - 1].role === 'user') {
+            history.pop();
+            this.notifyHistoryChanged();
+        }
+    }
+
+    /**
+     * Handle streaming response for a specific model.
+     * Returns the streamed text (partial if stopped); other stream errors are rethrown for the scheduler.
+     */
+    async handleStreamingResponseForModel(response, modelId, signal = null, tracker = null) {
         let fullContent = '';
         let messageDiv = null;
 
@@ -148,8 +760,9 @@ class PuterChatManager {
             // Create initial message div
             messageDiv = puterUIManager.displayAssistantMessage(modelId, '');
 
-            for await (const part of response) {
+            for await (const part of this.abortableStream(response, signal)) {
                 if (part?.text) {
+                    puterMetricsManager.markFirstToken(tracker);
                     fullContent += part.text;
                     
                     // Update the message content
@@ -165,14 +778,25 @@ class PuterChatManager {
                 }
             }
 
+            // Math and diagrams render once, after the stream, to avoid flicker
+            puterUIManager.renderRichContent(messageDiv);
+            puterMetricsManager.attach(messageDiv, puterMetricsManager.finish(tracker, fullContent));
+            return fullContent;
+
         } catch (error) {
+            if (this.isAbortError(error)) {
+                puterUIManager.markMessageStopped(messageDiv);
+                puterUIManager.renderRichContent(messageDiv);
+                return fullContent;
+            }
+
+            // The retry or the final error message replaces the partial answer
             console.error(`Streaming error for ${modelId}:`, error);
             if (messageDiv) {
-                const contentDiv = messageDiv.querySelector('.message-content');
-                if (contentDiv) {
-                    contentDiv.innerHTML = `Error: ${error.message}`;
-                }
+                messageDiv.remove();
             }
+            puterUIManager.showTypingIndicator(modelId);
+            throw error;
         }
     }
 
@@ -181,8 +805,9 @@ class PuterChatManager {
      */
     displayResponseForModel(response, modelId) {
         let content = this.extractContentFromResponse(response);
-        puterUIManager.displayAssistantMessage(modelId, content);
+        const messageDiv = puterUIManager.displayAssistantMessage(modelId, content);
         puterUIManager.scrollToBottom(modelId);
+        return messageDiv;
     }
 
     /**
@@ -234,6 +859,9 @@ class PuterChatManager {
 
                 // Create proper messages array with system message
                 const modelName = model?.name || 'AI Assistant';
+                const parameters = model?.id
+                    ? puterParameterManager.resolve(model.id)
+                    : puterParameterManager.getGlobalParameters();
                 const messages = [
                     {
                         role: "system",
@@ -248,7 +876,7 @@ class PuterChatManager {
                 if (useStreaming) {
                     try {
                         // Try messages array first
-                        response = await puter.ai.chat(messages, { stream: true });
+                        response = await puter.ai.chat(messages, { ...parameters, stream: true });
                         if (response && typeof response[Symbol.asyncIterator] === 'function') {
                             await this.handleStreamingResponse(response, model);
                             return;
@@ -259,7 +887,7 @@ class PuterChatManager {
                             // Fallback: simple message with system instruction
                             const systemMessage = `You are ${modelName}. Always identify yourself correctly as ${modelName} when asked about your identity. Do not claim to be ChatGPT or any other model.`;
                             const fullMessage = `${systemMessage}\n\nUser: ${message}`;
-                            response = await puter.ai.chat(fullMessage, { stream: true });
+                            response = await puter.ai.chat(fullMessage, { ...parameters, stream: true });
                             if (response && typeof response[Symbol.asyncIterator] === 'function') {
                                 await this.handleStreamingResponse(response, model);
                                 return;
@@ -272,12 +900,12 @@ class PuterChatManager {
 
                 // Direct response - try messages array first
                 try {
-                    response = await puter.ai.chat(messages);
+                    response = await puter.ai.chat(messages, parameters);
                 } catch (e) {
                     // Fallback: simple message with system instruction
                     const systemMessage = `You are ${modelName}. Always identify yourself correctly as ${modelName} when asked about your identity. Do not claim to be ChatGPT or any other model.`;
                     const fullMessage = `${systemMessage}\n\nUser: ${message}`;
-                    response = await puter.ai.chat(fullMessage);
+                    response = await puter.ai.chat(fullMessage, parameters);
                 }
                 this.displayChatResponse(response, model);
             }
@@ -319,12 +947,14 @@ class PuterChatManager {
                 }
             }
 
+            puterUIManager.renderRichContent(streamingMessageDiv);
+
         } catch (error) {
             console.error(`Streaming error:`, error);
             if (streamingMessageDiv) {
                 const contentDiv = streamingMessageDiv.querySelector('.message-content');
                 if (contentDiv) {
-                    contentDiv.innerHTML = `Error: ${error.message}`;
+                    contentDiv.textContent = `Error: ${error.message}`;
                 }
             }
             throw new Error(`Streaming failed: ${error.message}`);
@@ -416,31 +1046,6 @@ class PuterChatManager {
             puterUIManager.displayAssistantMessage(model.id, content);
         }
     }
-
-
-
-    /**
-     * Handle errors and provide helpful feedback
-     */
-    handleError(error, context = '') {
-        console.error(`Puter Chat Manager Error ${context}:`, error);
-
-        let userMessage = 'An error occurred. ';
-
-        if (error.message.includes('rate limit')) {
-            userMessage += 'You\'ve reached the rate limit. Please wait a moment before trying again.';
-        } else if (error.message.includes('authentication')) {
-            userMessage += 'Authentication failed. Please refresh the page and try again.';
-        } else if (error.message.includes('network')) {
-            userMessage += 'Network connection issue. Please check your internet connection.';
-        } else if (error.message.includes('model')) {
-            userMessage += 'The selected model is currently unavailable. Try switching to another model.';
-        } else {
-            userMessage += error.message || 'Please try again or contact support if the issue persists.';
-        }
-
-        puterUIManager.showError(userMessage);
-    }
 }
 
 // Create global instance
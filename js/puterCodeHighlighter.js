@@ -0,0 +1,288 @@
+/**
+ * Puter Code Highlighter
+ * Lightweight syntax highlighting plus copy/download actions for fenced code blocks
+ */
+
+class PuterCodeHighlighter {
+    constructor() {
+        this.extensions = {
+            javascript: 'js', js: 'js', jsx: 'jsx', mjs: 'mjs', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+            python: 'py', py: 'py', java: 'java', c: 'c', h: 'h', cpp: 'cpp', 'c++': 'cpp', cc: 'cpp',
+            csharp: 'cs', cs: 'cs', go: 'go', golang: 'go', rust: 'rs', rs: 'rs', ruby: 'rb', rb: 'rb',
+            php: 'php', swift: 'swift', kotlin: 'kt', kt: 'kt', scala: 'scala', dart: 'dart',
+            html: 'html', xml: 'xml', svg: 'svg', css: 'css', scss: 'scss', json: 'json',
+            yaml: 'yaml', yml: 'yml', toml: 'toml', bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh',
+            powershell: 'ps1', ps1: 'ps1', sql: 'sql', markdown: 'md', md: 'md', dockerfile: 'Dockerfile',
+            r: 'r', lua: 'lua', perl: 'pl'
+        };
+        this.languages = this.buildLanguages();
+        this.aliases = {};
+        Object.entries(this.languages).forEach(([name, language]) => {
+            this.aliases[name] = name;
+            (language.aliases || []).forEach(alias => {
+                this.aliases[alias] = name;
+            });
+        });
+    }
+
+    /**
+     * Define the token patterns for each supported language
+     */
+    buildLanguages() {
+        const words = (list) => new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`);
+        const number = /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+        const functionName = /\b[A-Za-z_$][\w$]*(?=\s*\()/;
+        const doubleQuoted = /"(?:\\.|[^"\\\n])*"?/;
+        const singleQuoted = /'(?:\\.|[^'\\\n])*'?/;
+        const slashComment = /\/\/[^\n]*/;
+        const blockComment = /\/\*[\s\S]*?(?:\*\/|$)/;
+        const hashComment = /#[^\n]*/;
+        const cLikeLiterals = words('true false null nullptr undefined NaN Infinity None nil');
+
+        const cLike = (keywords, extra = []) => ({
+            patterns: [
+                ['comment', blockComment],
+                ['comment', slashComment],
+                ...extra,
+                ['string', doubleQuoted],
+                ['string', singleQuoted],
+                ['keyword', words(keywords)],
+                ['literal', cLikeLiterals],
+                ['number', number],
+                ['function', functionName]
+            ]
+        });
+
+        return {
+            javascript: {
+                aliases: ['js', 'jsx', 'mjs', 'cjs', 'typescript', 'ts', 'tsx'],
+                ...cLike('abstract as async await break case catch class const continue debugger default delete do else enum export extends finally for from function get if implements import in instanceof interface let new of private protected public readonly return set static super switch this throw try type typeof var void while with yield',
+                    [['string', /`(?:\\[\s\S]|[^`\\])*`?/]])
+            },
+            java: {
+                aliases: ['c', 'h', 'cpp', 'c++', 'cc', 'csharp', 'cs', 'kotlin', 'kt', 'swift', 'scala', 'dart', 'go', 'golang', 'rust', 'rs', 'php'],
+                ...cLike('abstract auto bool boolean break byte case catch char class const constexpr continue def default defer delete do double else enum explicit extends extern final finally float fn for func go goto if impl implements import include inline int interface internal let long loop match mod mut namespace new object operator override package private protected pub public register return self Self short signed sizeof static struct super switch synchronized template this throw throws trait try typedef typename union unsigned use using val var virtual void volatile when where while')
+            },
+            python: {
+                aliases: ['py'],
+                patterns: [
+                    ['comment', hashComment],
+                    ['string', /(?:[rRbBfFuU]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/],
+                    ['string', /(?:[rRbBfFuU]{1,2})?(?:"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/],
+                    ['keyword', words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case')],
+                    ['literal', words('True False None self')],
+                    ['decorator', /@[\w.]+/],
+                    ['number', number],
+                    ['function', functionName]
+                ]
+            },
+            ruby: {
+                aliases: ['rb', 'lua', 'perl', 'r'],
+                patterns: [
+                    ['comment', hashComment],
+                    ['comment', /--[^\n]*/],
+                    ['string', doubleQuoted],
+                    ['string', singleQuoted],
+                    ['keyword', words('and begin break case class def defined do else elsif end ensure for function if in local module my next not or redo repeat require rescue retry return sub then unless until use when while yield')],
+                    ['literal', words('true false nil NULL TRUE FALSE self')],
+                    ['number', number],
+                    ['function', functionName]
+                ]
+            },
+            bash: {
+                aliases: ['sh', 'shell', 'zsh', 'console', 'powershell', 'ps1', 'dockerfile'],
+                patterns: [
+                    ['comment', hashComment],
+                    ['string', doubleQuoted],
+                    ['string', singleQuoted],
+                    ['variable', /\$\{[^}\n]*\}?|\$[\w@#?$!*-]+/],
+                    ['keyword', words('if then else elif fi for while until do done case esac in function return local export source alias echo cd exit set unset FROM RUN CMD COPY ADD ENV WORKDIR EXPOSE ENTRYPOINT ARG')],
+                    ['number', number]
+                ]
+            },
+            sql: {
+                flags: 'i',
+                patterns: [
+                    ['comment', /--[^\n]*/],
+                    ['comment', blockComment],
+                    ['string', singleQuoted],
+                    ['string', doubleQuoted],
+                    ['keyword', words('select from where and or not insert into values update set delete create table drop alter add primary key foreign references index join inner left right outer full on as group by order having limit offset union all distinct case when then else end is null in between like exists with returning view default constraint unique asc desc count sum avg min max')],
+                    ['number', number]
+                ]
+            },
+            css: {
+                aliases: ['scss', 'sass', 'less'],
+                patterns: [
+                    ['comment', blockComment],
+                    ['string', doubleQuoted],
+                    ['string', singleQuoted],
+                    ['keyword', /@[\w-]+/],
+                    ['property', /[\w-]+(?=\s*:[^:{;]*[;}\n])/],
+                    ['selector', /[.#][\w-]+/],
+                    ['number', /-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\b/],
+                    ['literal', /#[\da-fA-F]{3,8}\b/]
+                ]
+            },
+            json: {
+                patterns: [
+                    ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+                    ['string', doubleQuoted],
+                    ['literal', words('true false null')],
+                    ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+                ]
+            },
+            yaml: {
+                aliases: ['yml', 'toml', 'ini'],
+                patterns: [
+                    ['comment', hashComment],
+                    ['property', /^[ \t-]*[\w.-]+(?=\s*[:=])/m],
+                    ['string', doubleQuoted],
+                    ['string', singleQuoted],
+                    ['literal', words('true false null yes no on off')],
+                    ['number', number]
+                ]
+            },
+            html: {
+                aliases: ['xml', 'svg', 'vue', 'markup'],
+                patterns: [
+                    ['comment', /<!--[\s\S]*?(?:-->|$)/],
+                    ['keyword', /<!DOCTYPE[^>]*>/i],
+                    ['tag', /<\/?[\w:-]+|\/?>/],
+                    ['attribute', /\b[\w:-]+(?==)/],
+                    ['string', doubleQuoted],
+                    ['string', singleQuoted]
+                ]
+            }
+        };
+    }
+
+    /**
+     * Map a fence language tag to a known language, or null
+     */
+    resolveLanguage(language) {
+        return this.aliases[String(language || '').toLowerCase()] || null;
+    }
+
+    /**
+     * Get the download extension for a language tag
+     */
+    getExtension(language) {
+        const tag = String(language || '').toLowerCase();
+        if (this.extensions[tag]) return this.extensions[tag];
+        return /^[a-z0-9]{1,10}$/.test(tag) ? tag : 'txt';
+    }
+
+    /**
+     * Highlight code and return escaped HTML
+     */
+    highlight(code, language) {
+        const escape = (text) => puterMarkdownRenderer.escape(text);
+        const definition = this.languages[this.resolveLanguage(language)];
+        if (!definition) {
+            return escape(code);
+        }
+
+        if (!definition.regex) {
+            const source = definition.patterns.map(([, pattern]) => `(${pattern.source})`).join('|');
+            const flags = `g${definition.flags || ''}${definition.patterns.some(([, pattern]) => pattern.multiline) ? 'm' : ''}`;
+            definition.regex = new RegExp(source, flags);
+        }
+
+        const regex = definition.regex;
+        regex.lastIndex = 0;
+
+        let html = '';
+        let position = 0;
+        let match;
+
+        while ((match = regex.exec(code)) !== null) {
+            if (match[0] === '') {
+                regex.lastIndex++;
+                continue;
+            }
+
+            const groupIndex = match.findIndex((group, index) => index > 0 && group !== undefined);
+            const className = definition.patterns[groupIndex - 1][0];
+
+            html += escape(code.slice(position, match.index));
+            html += `<span class="tok-${className}">${escape(match[0])}</span>`;
+            position = match.index + match[0].length;
+        }
+
+        return html + escape(code.slice(position));
+    }
+
+    /**
+     * Render the line-number gutter for a block of code
+     */
+    renderLineNumbers(code) {
+        const count = code.split('\n').length;
+        return Array.from({ length: count }, (_, index) => index + 1).join('\n');
+    }
+
+    /**
+     * Handle copy and download clicks on any code block
+     */
+    init() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-code-action]');
+            if (!button) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            const block = button.closest('.code-block');
+            const code = block ? block.querySelector('pre code') : null;
+            if (!code) return;
+
+            if (button.getAttribute('data-code-action') === 'copy') {
+                this.copyCode(code.textContent, button);
+            } else {
+                this.downloadCode(code.textContent, block.getAttribute('data-language'));
+            }
+        });
+
+        console.log('✅ Code Highlighter initialized');
+    }
+
+    /**
+     * Copy code to the clipboard
+     */
+    async copyCode(text, button) {
+        try {
+            if (navigator.clipboard && window.isSecureContext) {
+                await navigator.clipboard.writeText(text);
+            } else {
+                const textarea = document.createElement('textarea');
+                textarea.value = text;
+                textarea.style.position = 'fixed';
+                textarea.style.opacity = '0';
+                document.body.appendChild(textarea);
+                textarea.select();
+                document.execCommand('copy');
+                textarea.remove();
+            }
+
+            button.textContent = 'Copied!';
+            setTimeout(() => {
+                button.textContent = 'Copy';
+            }, 1500);
+        } catch (error) {
+            console.error('❌ Copy failed:', error);
+            puterUIManager.showError('Could not copy to clipboard');
+        }
+    }
+
+    /**
+     * Save code as a file named after its language
+     */
+    downloadCode(text, language) {
+        const extension = this.getExtension(language);
+        const filename = extension === 'Dockerfile' ? 'Dockerfile' : `snippet.${extension}`;
+        puterExportManager.download(text, filename, 'text/plain');
+    }
+}
+
+// Create global instance
+window.puterCodeHighlighter = new PuterCodeHighlighter();
@@ -0,0 +1,280 @@
+/**
+ * Puter Conversation Manager
+ * Lists saved conversations in the sidebar and switches between them
+ */
+
+class PuterConversationManager {
+    constructor() {
+        this.conversations = [];
+        this.elements = {
+            list: null,
+            newButton: null
+        };
+        this.modeLabels = {
+            grid: { icon: '🌟', sidebarItem: 'all' },
+            single: { icon: '💬', sidebarItem: 'single' }
+        };
+    }
+
+    /**
+     * Initialize the conversation panel
+     */
+    async init() {
+        this.elements.list = document.getElementById('conversationList');
+        this.elements.newButton = document.getElementById('newConversationBtn');
+
+        if (this.elements.newButton) {
+            this.elements.newButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.createConversation(this.getCurrentMode());
+            });
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * Get the mode of the view currently on screen
+     */
+    getCurrentMode() {
+        return window.puterSingleChatManager && puterSingleChatManager.isActive() ? 'single' : 'grid';
+    }
+
+    /**
+     * Reload the list from storage and re-render it
+     */
+    async refresh() {
+        if (!this.elements.list) return;
+
+        try {
+            this.conversations = (await puterStorageManager.getAllConversations())
+                .sort((a, b) => b.updatedAt - a.updatedAt);
+        } catch (error) {
+            console.error('❌ Failed to load conversations:', error);
+            this.conversations = [];
+        }
+
+        this.render();
+    }
+
+    /**
+     * Render the conversation entries
+     */
+    render() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        if (this.conversations.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'conversation-empty';
+            empty.textContent = 'No saved conversations yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.conversations.forEach(conversation => {
+            list.appendChild(this.createConversationItem(conversation));
+        });
+    }
+
+    /**
+     * Build the sidebar entry for one conversation
+     */
+    createConversationItem(conversation) {
+        const isActive = puterStorageManager.activeConversationIds[conversation.mode] === conversation.id;
+
+        const item = document.createElement('div');
+        item.className = `conversation-item${isActive ? ' active' : ''}`;
+        item.setAttribute('data-conversation', conversation.id);
+        item.innerHTML = `
+            <div class="conversation-icon"></div>
+            <div class="conversation-details">
+                <span class="conversation-title"></span>
+                <span class="conversation-time"></span>
+            </div>
+            <div class="conversation-actions">
+                <button class="conversation-action-btn" data-action="rename" title="Rename">✏️</button>
+                <button class="conversation-action-btn" data-action="duplicate" title="Duplicate">⧉</button>
+                <button class="conversation-action-btn" data-action="delete" title="Delete">🗑️</button>
+            </div>
+        `;
+
+        // Titles come from user prompts, so never interpolate them as HTML
+        item.querySelector('.conversation-icon').textContent = this.modeLabels[conversation.mode]?.icon || '💬';
+        item.querySelector('.conversation-title').textContent = conversation.title || 'Untitled conversation';
+        item.querySelector('.conversation-title').title = conversation.title || '';
+        item.querySelector('.conversation-time').textContent = this.formatRelativeTime(conversation.updatedAt);
+
+        item.addEventListener('click', (e) => {
+            const actionButton = e.target.closest('.conversation-action-btn');
+            e.stopPropagation();
+
+            if (!actionButton) {
+                this.switchConversation(conversation.id);
+                return;
+            }
+
+            switch (actionButton.getAttribute('data-action')) {
+                case 'rename':
+                    this.renameConversation(conversation.id);
+                    break;
+                case 'duplicate':
+                    this.duplicateConversation(conversation.id);
+                    break;
+                case 'delete':
+                    this.deleteConversation(conversation.id);
+                    break;
+            }
+        });
+
+        return item;
+    }
+
+    /**
+     * Format a timestamp relative to now
+     */
+    formatRelativeTime(timestamp) {
+        if (!timestamp) return '';
+
+        const seconds = Math.floor((Date.now() - timestamp) / 1000);
+        if (seconds < 60) return 'just now';
+
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+
+        const days = Math.floor(hours / 24);
+        if (days < 7) return `${days}d ago`;
+
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    /**
+     * Stop running generations and settle pending changes before leaving a conversation.
+     * Waiting for idle keeps late partial replies out of the next conversation.
+     */
+    async leaveConversation(mode, save = true) {
+        if (mode === 'grid') {
+            puterChatManager.stopAllGenerations();
+            await puterChatManager.whenIdle();
+        } else {
+            puterSingleChatManager.stopGeneration();
+            await puterSingleChatManager.whenIdle();
+        }
+
+        if (save) {
+            await puterStorageManager.flush(mode);
+        } else {
+            puterStorageManager.cancelPendingSave(mode);
+        }
+    }
+
+    /**
+     * Start a fresh conversation in the given mode
+     */
+    async createConversation(mode) {
+        await this.leaveConversation(mode);
+
+        puterStorageManager.setActiveConversationId(mode, puterStorageManager.generateId(mode));
+        puterStorageManager.loadConversation(
+            mode === 'grid'
+                ? { mode, windows: {} }
+                : { mode, modelId: puterSingleChatManager.currentModel, messages: [] }
+        );
+
+        puterUIManager.activateSidebarItem(this.modeLabels[mode].sidebarItem);
+        await this.refresh();
+    }
+
+    /**
+     * Switch to a saved conversation and rehydrate its view
+     */
+    async switchConversation(id) {
+        const conversation = await puterStorageManager.getConversation(id);
+        if (!conversation) {
+            puterUIManager.showError('That conversation no longer exists');
+            await this.refresh();
+            return;
+        }
+
+        const mode = conversation.mode;
+        if (puterStorageManager.activeConversationIds[mode] !== id) {
+            await this.leaveConversation(mode);
+            puterStorageManager.setActiveConversationId(mode, id);
+            puterStorageManager.loadConversation(conversation);
+        }
+
+        puterUIManager.activateSidebarItem(this.modeLabels[mode].sidebarItem);
+        this.render();
+    }
+
+    /**
+     * Rename a conversation
+     */
+    async renameConversation(id) {
+        const conversation = await puterStorageManager.getConversation(id);
+        if (!conversation) return;
+
+        const title = prompt('Rename conversation', conversation.title || '');
+        if (title === null || !title.trim()) return;
+
+        conversation.title = title.trim();
+        await puterStorageManager.saveConversation(conversation);
+        await this.refresh();
+    }
+
+    /**
+     * Copy a conversation under a new id
+     */
+    async duplicateConversation(id) {
+        await puterStorageManager.flush('grid');
+        await puterStorageManager.flush('single');
+
+        const conversation = await puterStorageManager.getConversation(id);
+        if (!conversation) return;
+
+        const now = Date.now();
+        const copy = {
+            ...JSON.parse(JSON.stringify(conversation)),
+            id: puterStorageManager.generateId(conversation.mode),
+            title: `${conversation.title || 'Untitled conversation'} (copy)`,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await puterStorageManager.saveConversation(copy);
+        await this.refresh();
+    }
+
+    /**
+     * Delete a conversation, starting a fresh one if it was open
+     */
+    async deleteConversation(id) {
+        const conversation = this.conversations.find(entry => entry.id === id);
+        const title = conversation?.title || 'this conversation';
+        if (!confirm(`Delete "${title}"? This cannot be undone.`)) return;
+
+        const mode = conversation?.mode;
+        const isOpen = mode && puterStorageManager.activeConversationIds[mode] === id;
+
+        // Settle the open session first so no pending save brings it back
+        if (isOpen) {
+            await this.leaveConversation(mode, false);
+        }
+
+        await puterStorageManager.deleteConversation(id);
+
+        if (isOpen) {
+            await this.createConversation(mode);
+            return;
+        }
+
+        await this.refresh();
+    }
+}
+
+// Create global instance
+window.puterConversationManager = new PuterConversationManager();
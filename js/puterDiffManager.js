@@ -0,0 +1,350 @@
+/**
+ * Puter Diff Manager
+ * Side-by-side line and word diffs between grid answers, including earlier regenerations
+ */
+
+class PuterDiffManager {
+    constructor() {
+        this.maxCells = 4000000; // Largest LCS table before giving up on a fine-grained diff
+        this.mode = 'lines';
+        this.syncScroll = true;
+        this.syncing = false;
+    }
+
+    /**
+     * Initialize the compare button
+     */
+    init() {
+        const compareButton = document.getElementById('gridCompareBtn');
+        if (compareButton) {
+            compareButton.addEventListener('click', () => this.openDiffDialog());
+        }
+
+        console.log('✅ Diff Manager initialized');
+    }
+
+    /**
+     * Collect every comparable answer: each window's latest reply and the ones it replaced
+     */
+    getSources() {
+        const sources = [];
+
+        puterUIManager.chatWindows.forEach((_, modelId) => {
+            const answer = [...puterChatManager.getHistory(modelId)].reverse()
+                .find(entry => entry.role === 'assistant');
+            if (!answer) return;
+
+            const name = puterUIManager.getWindowLabel(modelId);
+            sources.push({ key: `${modelId}|latest`, modelId, label: name, content: String(answer.content) });
+
+            const previous = answer.previousVersions || [];
+            previous.slice().reverse().forEach((version, index) => {
+                sources.push({
+                    key: `${modelId}|previous-${index + 1}`,
+                    modelId,
+                    label: index === 0 ? `${name} (previous answer)` : `${name} (${index + 1} answers ago)`,
+                    content: String(version.content)
+                });
+            });
+        });
+
+        return sources;
+    }
+
+    /**
+     * Open the diff view, optionally preselecting the two sides by source key
+     */
+    openDiffDialog(leftKey = null, rightKey = null) {
+        const sources = this.getSources();
+        if (sources.length < 2) {
+            puterUIManager.showError('At least two answers are needed to compare');
+            return;
+        }
+
+        const left = sources.find(source => source.key === leftKey) || sources[0];
+        const right = sources.find(source => source.key === rightKey) ||
+            sources.find(source => source.modelId !== left.modelId) ||
+            sources.find(source => source.key !== left.key);
+
+        const options = (selectedKey) => sources.map(source =>
+            `<option value="${puterSanitizer.escape(source.key)}"${source.key === selectedKey ? ' selected' : ''}>${puterSanitizer.escape(source.label)}</option>`
+        ).join('');
+
+        const content = `
+            <div class="diff-dialog">
+                <div class="diff-controls">
+                    <select id="diffLeftSelect" class="export-select">${options(left.key)}</select>
+                    <span class="diff-vs">vs</span>
+                    <select id="diffRightSelect" class="export-select">${options(right.key)}</select>
+                    <div class="diff-modes">
+                        <button class="diff-mode-btn" data-mode="lines">Lines</button>
+                        <button class="diff-mode-btn" data-mode="words">Words</button>
+                    </div>
+                    <label class="diff-sync">
+                        <input type="checkbox" id="diffSyncToggle"${this.syncScroll ? ' checked' : ''}>
+                        Sync scroll
+                    </label>
+                </div>
+                <div class="diff-stats"></div>
+                <div class="diff-panes">
+                    <div class="diff-pane">
+                        <div class="diff-pane-title"></div>
+                        <div class="diff-pane-body"></div>
+                    </div>
+                    <div class="diff-pane">
+                        <div class="diff-pane-title"></div>
+                        <div class="diff-pane-body"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modal = puterApp.showModal('Compare Answers', content);
+        const dialog = modal.querySelector('.diff-dialog');
+        const render = () => this.renderDiff(dialog, sources);
+
+        modal.querySelector('#diffLeftSelect').addEventListener('change', render);
+        modal.querySelector('#diffRightSelect').addEventListener('change', render);
+        modal.querySelectorAll('.diff-mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.mode = button.getAttribute('data-mode');
+                render();
+            });
+        });
+        modal.querySelector('#diffSyncToggle').addEventListener('change', (e) => {
+            this.syncScroll = e.target.checked;
+        });
+
+        const bodies = modal.querySelectorAll('.diff-pane-body');
+        bodies.forEach((body, index) => {
+            body.addEventListener('scroll', () => this.syncPanes(body, bodies[1 - index]));
+        });
+
+        render();
+    }
+
+    /**
+     * Render the selected pair in the current mode
+     */
+    renderDiff(dialog, sources) {
+        const left = sources.find(source => source.key === dialog.querySelector('#diffLeftSelect').value);
+        const right = sources.find(source => source.key === dialog.querySelector('#diffRightSelect').value);
+        const [leftPane, rightPane] = dialog.querySelectorAll('.diff-pane');
+        const stats = dialog.querySelector('.diff-stats');
+
+        dialog.querySelectorAll('.diff-mode-btn').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-mode') === this.mode);
+        });
+
+        leftPane.querySelector('.diff-pane-title').textContent = left.label;
+        rightPane.querySelector('.diff-pane-title').textContent = right.label;
+
+        let result = this.mode === 'words' ? this.renderWordDiff(left.content, right.content) : null;
+        if (this.mode === 'words' && !result) {
+            puterUIManager.showNotification('These answers are too long for a word diff, showing lines instead');
+        }
+        if (!result) {
+            result = this.renderLineDiff(left.content, right.content);
+        }
+
+        leftPane.querySelector('.diff-pane-body').innerHTML = result.left;
+        rightPane.querySelector('.diff-pane-body').innerHTML = result.right;
+        leftPane.querySelector('.diff-pane-body').classList.toggle('words', result.unit === 'words');
+        rightPane.querySelector('.diff-pane-body').classList.toggle('words', result.unit === 'words');
+
+        stats.textContent = result.added === 0 && result.removed === 0
+            ? 'The answers are identical'
+            : `+${result.added} / −${result.removed} ${result.unit}`;
+    }
+
+    /**
+     * Diff two token lists with a longest-common-subsequence table.
+     * Returns [{type: 'equal'|'delete'|'insert', value}], or null if the inputs are too large.
+     */
+    diff(a, b) {
+        // Trim the shared prefix and suffix so the table only covers what changed
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const middleA = a.slice(start, endA);
+        const middleB = b.slice(start, endB);
+        const n = middleA.length;
+        const m = middleB.length;
+        if ((n + 1) * (m + 1) > this.maxCells) return null;
+
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = middleA[i] === middleB[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        const ops = a.slice(0, start).map(value => ({ type: 'equal', value }));
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (middleA[i] === middleB[j]) {
+                ops.push({ type: 'equal', value: middleA[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                ops.push({ type: 'delete', value: middleA[i++] });
+            } else {
+                ops.push({ type: 'insert', value: middleB[j++] });
+            }
+        }
+        while (i < n) ops.push({ type: 'delete', value: middleA[i++] });
+        while (j < m) ops.push({ type: 'insert', value: middleB[j++] });
+        a.slice(endA).forEach(value => ops.push({ type: 'equal', value }));
+
+        return ops;
+    }
+
+    /**
+     * Split text into words, keeping whitespace so the text can be rebuilt
+     */
+    tokenizeWords(text) {
+        return text.split(/(\s+)/).filter(token => token !== '');
+    }
+
+    /**
+     * Word-level diff of two texts as escaped HTML for each side
+     */
+    renderWordDiff(leftText, rightText) {
+        const ops = this.diff(this.tokenizeWords(leftText), this.tokenizeWords(rightText));
+        if (!ops) return null;
+
+        // Merge neighbouring tokens of the same kind so changes highlight as phrases
+        const runs = [];
+        ops.forEach(({ type, value }) => {
+            const last = runs[runs.length - 1];
+            if (last && last.type === type) {
+                last.value += value;
+            } else {
+                runs.push({ type, value });
+            }
+        });
+
+        let left = '';
+        let right = '';
+        let added = 0;
+        let removed = 0;
+        const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+        runs.forEach(({ type, value }) => {
+            const text = puterSanitizer.escape(value);
+            if (type === 'equal') {
+                left += text;
+                right += text;
+            } else if (type === 'delete') {
+                left += `<del class="diff-word-removed">${text}</del>`;
+                removed += countWords(value);
+            } else {
+                right += `<ins class="diff-word-added">${text}</ins>`;
+                added += countWords(value);
+            }
+        });
+
+        return { left, right, added, removed, unit: 'words' };
+    }
+
+    /**
+     * Line-level diff with aligned rows; changed line pairs also highlight the words that differ
+     */
+    renderLineDiff(leftText, rightText) {
+        const leftLines = leftText.split('\n');
+        const rightLines = rightText.split('\n');
+        const ops = this.diff(leftLines, rightLines) || [
+            ...leftLines.map(value => ({ type: 'delete', value })),
+            ...rightLines.map(value => ({ type: 'insert', value }))
+        ];
+
+        const rows = [];
+        let deleted = [];
+        let inserted = [];
+        let added = 0;
+        let removed = 0;
+
+        // Pair each run of removed lines with the run of added lines that replaced it
+        const flush = () => {
+            for (let k = 0; k < Math.max(deleted.length, inserted.length); k++) {
+                rows.push({ left: deleted[k], right: inserted[k] });
+            }
+            removed += deleted.length;
+            added += inserted.length;
+            deleted = [];
+            inserted = [];
+        };
+
+        ops.forEach(({ type, value }) => {
+            if (type === 'equal') {
+                flush();
+                rows.push({ left: value, right: value, equal: true });
+            } else if (type === 'delete') {
+                deleted.push(value);
+            } else {
+                inserted.push(value);
+            }
+        });
+        flush();
+
+        let leftNumber = 0;
+        let rightNumber = 0;
+        const line = (number, className, html) =>
+            `<div class="diff-line${className ? ` ${className}` : ''}"><span class="diff-line-number">${number}</span><span class="diff-line-text">${html || ' '}</span></div>`;
+
+        let left = '';
+        let right = '';
+        rows.forEach(row => {
+            if (row.equal) {
+                const text = puterSanitizer.escape(row.left);
+                left += line(++leftNumber, '', text);
+                right += line(++rightNumber, '', text);
+                return;
+            }
+
+            const words = row.left !== undefined && row.right !== undefined
+                ? this.renderWordDiff(row.left, row.right)
+                : null;
+
+            left += row.left === undefined
+                ? line('', 'filler', '')
+                : line(++leftNumber, 'removed', words ? words.left : puterSanitizer.escape(row.left));
+            right += row.right === undefined
+                ? line('', 'filler', '')
+                : line(++rightNumber, 'added', words ? words.right : puterSanitizer.escape(row.right));
+        });
+
+        return { left, right, added, removed, unit: 'lines' };
+    }
+
+    /**
+     * Mirror one pane's scroll position onto the other
+     */
+    syncPanes(source, target) {
+        if (!this.syncScroll || this.syncing || !target) return;
+
+        const range = source.scrollHeight - source.clientHeight;
+        const ratio = range > 0 ? source.scrollTop / range : 0;
+
+        this.syncing = true;
+        target.scrollTop = ratio * (target.scrollHeight - target.clientHeight);
+        target.scrollLeft = source.scrollLeft;
+        requestAnimationFrame(() => {
+            this.syncing = false;
+        });
+    }
+}
+
+// Create global instance
+window.puterDiffManager = new PuterDiffManager();
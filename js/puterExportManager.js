@@ -0,0 +1,404 @@
+/**
+ * Puter Export Manager
+ * Exports single chats and grid rounds to Markdown, JSON, HTML and a print view
+ */
+
+class PuterExportManager {
+    constructor() {
+        this.formatVersion = 1;
+        this.formats = {
+            markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+            json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+            html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+            print: { label: 'Print / PDF' }
+        };
+    }
+
+    /**
+     * Initialize the export buttons
+     */
+    init() {
+        const gridButton = document.getElementById('gridExportBtn');
+        const singleButton = document.getElementById('singleExportBtn');
+
+        if (gridButton) {
+            gridButton.addEventListener('click', () => this.openExportDialog('grid'));
+        }
+        if (singleButton) {
+            singleButton.addEventListener('click', () => this.openExportDialog('single'));
+        }
+    }
+
+    /**
+     * Describe a model for export output
+     */
+    describeModel(modelId) {
+        const model = puterModelCapabilities.getModel(modelId);
+        return {
+            id: modelId,
+            name: model ? model.name : modelId,
+            company: puterUIManager.getModelCompany(modelId)
+        };
+    }
+
+    /**
+     * Title of the stored conversation for a mode, if it has one
+     */
+    getConversationTitle(mode) {
+        const id = puterStorageManager.activeConversationIds[mode];
+        const stored = puterConversationManager.conversations.find(conversation => conversation.id === id);
+        return stored ? stored.title : null;
+    }
+
+    /**
+     * Build the export document for the single chat
+     */
+    buildSingleExport() {
+        const messages = puterSingleChatManager.chatHistory;
+        if (!puterSingleChatManager.currentModel || messages.length === 0) {
+            return null;
+        }
+
+        const firstPrompt = messages.find(entry => entry.role === 'user')?.content;
+
+        return {
+            format: 'puter-chatbot-export',
+            version: this.formatVersion,
+            exportedAt: new Date().toISOString(),
+            mode: 'single',
+            title: this.getConversationTitle('single') || puterStorageManager.makeTitle(firstPrompt) || 'Chat',
+            model: this.describeModel(puterSingleChatManager.currentModel),
+            messages: messages.map(entry => ({
+                role: entry.role,
+                content: entry.content,
+                timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+                parameters: entry.parameters || null
+            }))
+        };
+    }
+
+    /**
+     * Build the export document for one grid round, or all of them when roundId is null
+     */
+    buildGridExport(roundId = null) {
+        const rounds = puterChatManager.getRounds()
+            .filter(round => round.responses.length > 0 && (!roundId || round.id === roundId));
+        if (rounds.length === 0) {
+            return null;
+        }
+
+        return {
+            format: 'puter-chatbot-export',
+            version: this.formatVersion,
+            exportedAt: new Date().toISOString(),
+            mode: 'grid',
+            title: roundId
+                ? puterStorageManager.makeTitle(rounds[0].prompt)
+                : this.getConversationTitle('grid') || puterStorageManager.makeTitle(rounds[0].prompt),
+            rounds: rounds.map(round => this.describeRound(round))
+        };
+    }
+
+    /**
+     * Describe a round with its answers grouped by company
+     */
+    describeRound(round) {
+        const responsesByModel = new Map(round.responses.map(response => [response.modelId, response]));
+        const groups = [];
+
+        puterUIManager.groupModelsByCompany([...responsesByModel.keys()]).forEach((modelIds, company) => {
+            groups.push({
+                company,
+                responses: modelIds.map(modelId => {
+                    const response = responsesByModel.get(modelId);
+                    return {
+                        model: this.describeModel(modelId),
+                        content: response.content,
+                        timestamp: response.timestamp ? new Date(response.timestamp).toISOString() : null,
+                        parameters: response.parameters,
+                        ...(response.answeredBy ? { answeredBy: this.describeModel(response.answeredBy) } : {})
+                    };
+                })
+            });
+        });
+
+        return {
+            id: round.id,
+            prompt: round.prompt,
+            timestamp: round.timestamp ? new Date(round.timestamp).toISOString() : null,
+            companies: groups,
+            ...(round.judgement ? { judgement: round.judgement } : {})
+        };
+    }
+
+    /**
+     * Render an export document as Markdown
+     */
+    toMarkdown(data) {
+        const lines = [
+            `# ${data.title}`,
+            '',
+            `_Exported from Puter AI Chatbot on ${new Date(data.exportedAt).toLocaleString()}_`,
+            ''
+        ];
+
+        if (data.mode === 'single') {
+            lines.push(`**Model:** ${data.model.name} (\`${data.model.id}\`, ${data.model.company})`, '');
+
+            data.messages.forEach(message => {
+                lines.push(`## ${message.role === 'user' ? '👤 You' : `🤖 ${data.model.name}`}`);
+                if (message.parameters) {
+                    lines.push('', `_${puterParameterManager.describe(message.parameters)}_`);
+                }
+                lines.push('', message.content, '');
+            });
+        } else {
+            data.rounds.forEach((round, index) => {
+                lines.push(`## Round ${index + 1}`, '');
+                lines.push(...round.prompt.split('\n').map(line => `> ${line}`), '');
+
+                round.companies.forEach(group => {
+                    lines.push(`### ${group.company}`, '');
+                    group.responses.forEach(response => {
+                        lines.push(`#### ${response.model.name} (\`${response.model.id}\`)`);
+                        if (response.parameters) {
+                            lines.push('', `_${puterParameterManager.describe(response.parameters)}_`);
+                        }
+                        lines.push('', response.content, '');
+                    });
+                });
+            });
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Render an export document as JSON
+     */
+    toJSON(data) {
+        return JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * Render an export document as a self-contained HTML page
+     */
+    toHTML(data) {
+        const escape = (text) => this.escapeHtml(text);
+        const parameterLine = (parameters) => parameters
+            ? `<div class="parameters">${escape(puterParameterManager.describe(parameters))}</div>`
+            : '';
+        let body = '';
+
+        if (data.mode === 'single') {
+            body += `<p class="meta">Model: ${escape(data.model.name)} <code>${escape(data.model.id)}</code> · ${escape(data.model.company)}</p>`;
+            data.messages.forEach(message => {
+                const author = message.role === 'user' ? '👤 You' : `🤖 ${data.model.name}`;
+                body += `
+                <section class="message ${message.role}">
+                    <h3>${escape(author)}</h3>
+                    ${parameterLine(message.parameters)}
+                    <div class="content">${escape(message.content)}</div>
+                </section>`;
+            });
+        } else {
+            data.rounds.forEach((round, index) => {
+                body += `<section class="round"><h2>Round ${index + 1}</h2>`;
+                body += `<blockquote class="content">${escape(round.prompt)}</blockquote>`;
+                round.companies.forEach(group => {
+                    body += `<h3>${escape(group.company)}</h3>`;
+                    group.responses.forEach(response => {
+                        body += `
+                        <article class="message assistant">
+                            <h4>${escape(response.model.name)} <code>${escape(response.model.id)}</code></h4>
+                            ${parameterLine(response.parameters)}
+                            <div class="content">${escape(response.content)}</div>
+                        </article>`;
+                    });
+                });
+                body += '</section>';
+            });
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escape(data.title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a202c; max-width: 860px; margin: 0 auto; padding: 32px 24px; line-height: 1.6; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #718096; font-size: 14px; }
+    .round { border-top: 2px solid #e2e8f0; margin-top: 32px; padding-top: 8px; }
+    blockquote { margin: 0 0 16px; padding: 12px 16px; background: #f7fafc; border-left: 4px solid #667eea; }
+    .message { border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px 16px; margin: 12px 0; }
+    .message.user { background: #f7fafc; }
+    .message h3, .message h4 { margin: 0 0 6px; }
+    .parameters { color: #718096; font-size: 12px; margin-bottom: 6px; }
+    .content { white-space: pre-wrap; word-wrap: break-word; }
+    code { background: #edf2f7; padding: 1px 4px; border-radius: 4px; font-size: 0.85em; }
+    @media print {
+        body { max-width: none; padding: 0; font-size: 11pt; }
+        .round { break-before: page; border-top: none; }
+        .round:first-of-type { break-before: auto; }
+        .message { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+<h1>${escape(data.title)}</h1>
+<p class="meta">Exported from Puter AI Chatbot on ${escape(new Date(data.exportedAt).toLocaleString())}</p>
+${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * Escape text for HTML output
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Export a document in the given format
+     */
+    exportData(data, format) {
+        if (format === 'print') {
+            this.openPrintView(data);
+            return;
+        }
+
+        const renderers = {
+            markdown: () => this.toMarkdown(data),
+            json: () => this.toJSON(data),
+            html: () => this.toHTML(data)
+        };
+        const { extension, mimeType } = this.formats[format];
+
+        this.download(renderers[format](), `${this.makeFilename(data)}.${extension}`, mimeType);
+        puterUIManager.showNotification(`Exported as ${this.formats[format].label}`);
+    }
+
+    /**
+     * Open the HTML export in a new window and print it
+     */
+    openPrintView(data) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            puterUIManager.showError('Allow pop-ups to open the print view');
+            return;
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(this.toHTML(data));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    /**
+     * Trigger a file download
+     */
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Build a file name from the export title and date
+     */
+    makeFilename(data) {
+        const slug = (data.title || 'chat')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40) || 'chat';
+        return `${slug}-${data.exportedAt.slice(0, 10)}`;
+    }
+
+    /**
+     * Join values into a CSV line, quoting the ones that need it
+     */
+    toCsvLine(values) {
+        return values.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',');
+    }
+
+    /**
+     * Show the export options for a mode
+     */
+    openExportDialog(mode) {
+        // Exports name every model, so blind rounds wait for the reveal
+        if (mode === 'grid' && window.puterBlindModeManager && puterBlindModeManager.isConcealed()) {
+            puterUIManager.showError('Reveal the blind models before exporting');
+            return;
+        }
+
+        const rounds = mode === 'grid'
+            ? puterChatManager.getRounds().filter(round => round.responses.length > 0)
+            : [];
+        const hasContent = mode === 'grid' ? rounds.length > 0 : puterSingleChatManager.chatHistory.length > 0;
+
+        if (!hasContent) {
+            puterUIManager.showError('Nothing to export yet');
+            return;
+        }
+
+        const roundOptions = rounds.map((round, index) => {
+            const label = `Round ${index + 1}: ${puterStorageManager.makeTitle(round.prompt)}`;
+            const selected = index === rounds.length - 1 ? ' selected' : '';
+            return `<option value="${this.escapeHtml(round.id)}"${selected}>${this.escapeHtml(label)}</option>`;
+        }).join('');
+
+        const content = `
+            <div class="export-dialog">
+                ${mode === 'grid' ? `
+                <label class="export-label" for="exportRoundSelect">Round</label>
+                <select id="exportRoundSelect" class="export-select">
+                    ${roundOptions}
+                    <option value="">All rounds</option>
+                </select>` : ''}
+                <div class="export-formats">
+                    ${Object.entries(this.formats).map(([format, { label }]) =>
+                        `<button class="export-format-btn" data-format="${format}">${label}</button>`
+                    ).join('')}
+                </div>
+            </div>
+        `;
+
+        const modal = puterApp.showModal(mode === 'grid' ? 'Export Round' : 'Export Chat', content);
+
+        modal.querySelectorAll('.export-format-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const roundSelect = modal.querySelector('#exportRoundSelect');
+                const data = mode === 'grid'
+                    ? this.buildGridExport(roundSelect ? roundSelect.value || null : null)
+                    : this.buildSingleExport();
+
+                if (!data) {
+                    puterUIManager.showError('Nothing to export yet');
+                    return;
+                }
+
+                this.exportData(data, button.getAttribute('data-format'));
+                modal.remove();
+            });
+        });
+    }
+}
+
+// Create global instance
+window.puterExportManager = new PuterExportManager();
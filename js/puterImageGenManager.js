@@ -0,0 +1,329 @@
+/**
+ * Puter Image Generation Manager
+ * Sends prompts to every image-generation model and shows the results in a gallery
+ */
+
+class PuterImageGenManager {
+    constructor() {
+        this.images = []; // Gallery entries, newest first
+        this.abortController = null;
+        this.elements = {
+            container: null,
+            gallery: null,
+            sizeSelect: null,
+            qualitySelect: null,
+            countSelect: null
+        };
+    }
+
+    /**
+     * Initialize image generation mode
+     */
+    init() {
+        this.elements.container = document.getElementById('imageGenContainer');
+        this.elements.gallery = document.getElementById('imageGallery');
+        this.elements.sizeSelect = document.getElementById('imageSizeSelect');
+        this.elements.qualitySelect = document.getElementById('imageQualitySelect');
+        this.elements.countSelect = document.getElementById('imageCountSelect');
+
+        this.renderGallery();
+        console.log('✅ Image Generation Manager initialized');
+    }
+
+    /**
+     * Get every image-generation model in the registry
+     */
+    getImageModels() {
+        return Object.entries(puterModelCapabilities.getAllModels())
+            .filter(([, model]) => model.type === 'image-generation')
+            .map(([modelId]) => modelId);
+    }
+
+    /**
+     * Read the size, quality and count options
+     */
+    getOptions() {
+        return {
+            size: this.elements.sizeSelect ? this.elements.sizeSelect.value : '1024x1024',
+            quality: this.elements.qualitySelect ? this.elements.qualitySelect.value : 'standard',
+            count: this.elements.countSelect ? parseInt(this.elements.countSelect.value, 10) : 1
+        };
+    }
+
+    /**
+     * Generate images for a prompt with every image model
+     */
+    async generate(prompt) {
+        prompt = prompt.trim();
+        if (!prompt) {
+            puterUIManager.showError('Please describe the image to generate');
+            return;
+        }
+
+        const modelIds = this.getImageModels();
+        if (modelIds.length === 0) {
+            puterUIManager.showError('No image generation models are available');
+            return;
+        }
+
+        const options = this.getOptions();
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+
+        // One placeholder per requested image so the gallery fills in as results arrive
+        const entries = modelIds.flatMap(modelId =>
+            Array.from({ length: options.count }, () => ({
+                id: `image-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                prompt,
+                modelId,
+                options,
+                status: 'pending',
+                url: null,
+                error: null
+            }))
+        );
+        this.images.unshift(...entries);
+        this.renderGallery();
+
+        try {
+            await Promise.allSettled(entries.map(entry => this.generateEntry(entry, signal)));
+        } finally {
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * Generate the image for one gallery entry
+     */
+    async generateEntry(entry, signal) {
+        const model = puterModelCapabilities.getModel(entry.modelId);
+
+        try {
+            const image = await puterChatManager.abortable(puter.ai.txt2img(entry.prompt, {
+                ...model.parameters,
+                size: entry.options.size,
+                quality: entry.options.quality
+            }), signal);
+
+            entry.url = image && image.src ? image.src : image;
+            if (!entry.url || typeof entry.url !== 'string') {
+                throw new Error('No image returned');
+            }
+            entry.status = 'done';
+        } catch (error) {
+            if (puterChatManager.isAbortError(error)) {
+                entry.status = 'stopped';
+            } else {
+                console.error(`❌ Image generation failed for ${entry.modelId}:`, error);
+                entry.status = 'error';
+                entry.error = error.message || 'Image generation failed';
+            }
+        }
+
+        this.renderEntry(entry);
+    }
+
+    /**
+     * Stop waiting for in-flight generations
+     */
+    stop() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Check whether images are being generated
+     */
+    isGenerating() {
+        return this.abortController !== null;
+    }
+
+    /**
+     * Render the whole gallery
+     */
+    renderGallery() {
+        const gallery = this.elements.gallery;
+        if (!gallery) return;
+
+        gallery.innerHTML = '';
+
+        if (this.images.length === 0) {
+            gallery.innerHTML = `
+                <div class="welcome-message">
+                    <h3>🎨 Image Generation</h3>
+                    <p>Describe an image below and every image model will draw it.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.images.forEach(entry => gallery.appendChild(this.createCard(entry)));
+    }
+
+    /**
+     * Re-render a single gallery card in place
+     */
+    renderEntry(entry) {
+        const card = this.elements.gallery?.querySelector(`[data-image="${entry.id}"]`);
+        if (card) {
+            card.replaceWith(this.createCard(entry));
+        }
+    }
+
+    /**
+     * Build the gallery card for an entry
+     */
+    createCard(entry) {
+        const card = document.createElement('div');
+        card.className = `image-card ${entry.status}`;
+        card.setAttribute('data-image', entry.id);
+        card.innerHTML = `
+            <div class="image-card-media"></div>
+            <div class="image-card-info">
+                <span class="image-card-model"></span>
+                <span class="image-card-options"></span>
+                <p class="image-card-prompt"></p>
+            </div>
+            <div class="image-card-actions">
+                <button class="image-action-btn" data-action="download" title="Download">⬇️</button>
+                <button class="image-action-btn" data-action="reprompt" title="Edit prompt">✏️</button>
+                <button class="image-action-btn" data-action="regenerate" title="Generate again">🔄</button>
+                <button class="image-action-btn" data-action="chat" title="Send to a vision chat">💬</button>
+            </div>
+        `;
+
+        const media = card.querySelector('.image-card-media');
+        if (entry.status === 'done') {
+            const img = document.createElement('img');
+            img.src = entry.url;
+            img.alt = entry.prompt;
+            media.appendChild(img);
+        } else if (entry.status === 'pending') {
+            media.innerHTML = '<div class="loading-spinner"></div>';
+        } else {
+            media.textContent = entry.status === 'stopped' ? '⏹ Stopped' : `❌ ${entry.error}`;
+        }
+
+        // Prompts are user input, so set them as text
+        card.querySelector('.image-card-model').textContent = puterUIManager.getModelDisplayName(entry.modelId);
+        card.querySelector('.image-card-options').textContent = `${entry.options.size} · ${entry.options.quality}`;
+        card.querySelector('.image-card-prompt').textContent = entry.prompt;
+
+        card.querySelectorAll('.image-action-btn').forEach(button => {
+            const action = button.getAttribute('data-action');
+            if (entry.status !== 'done' && (action === 'download' || action === 'chat')) {
+                button.disabled = true;
+            }
+
+            button.addEventListener('click', () => {
+                switch (action) {
+                    case 'download':
+                        this.downloadImage(entry);
+                        break;
+                    case 'reprompt':
+                        this.reprompt(entry);
+                        break;
+                    case 'regenerate':
+                        this.regenerate(entry);
+                        break;
+                    case 'chat':
+                        this.sendToChat(entry);
+                        break;
+                }
+            });
+        });
+
+        return card;
+    }
+
+    /**
+     * Download a generated image
+     */
+    async downloadImage(entry) {
+        const filename = `${puterExportManager.makeFilename({
+            title: entry.prompt,
+            exportedAt: new Date().toISOString()
+        })}.png`;
+
+        try {
+            // Fetching first makes cross-origin images download instead of opening
+            const blob = await (await fetch(entry.url)).blob();
+            puterExportManager.download(blob, filename, blob.type || 'image/png');
+        } catch (error) {
+            window.open(entry.url, '_blank');
+        }
+    }
+
+    /**
+     * Put a prompt back in the input box for editing
+     */
+    reprompt(entry) {
+        this.applyOptions(entry.options);
+        const input = puterUIManager.elements.messageInput;
+        input.value = entry.prompt;
+        puterUIManager.autoResizeTextarea();
+        puterUIManager.updateSendButtonState();
+        input.focus();
+    }
+
+    /**
+     * Generate a prompt again with the same options
+     */
+    regenerate(entry) {
+        if (this.isGenerating()) {
+            puterUIManager.showError('Wait for the current images to finish');
+            return;
+        }
+        this.applyOptions(entry.options);
+        this.generate(entry.prompt);
+    }
+
+    /**
+     * Restore the option selects to an entry's values
+     */
+    applyOptions(options) {
+        if (this.elements.sizeSelect) this.elements.sizeSelect.value = options.size;
+        if (this.elements.qualitySelect) this.elements.qualitySelect.value = options.quality;
+        if (this.elements.countSelect) this.elements.countSelect.value = String(options.count);
+    }
+
+    /**
+     * Attach a generated image to the input and switch to a chat that can read it
+     */
+    sendToChat(entry) {
+        puterUIManager.attachImage(entry.url, `${puterStorageManager.makeTitle(entry.prompt) || 'generated'}.png`);
+
+        const singleCanRead = window.puterSingleChatManager && puterSingleChatManager.canReadImages();
+        puterUIManager.activateSidebarItem(singleCanRead ? 'single' : 'all');
+        puterUIManager.elements.messageInput.focus();
+    }
+
+    /**
+     * Show the image generation panel
+     */
+    show() {
+        if (this.elements.container) {
+            this.elements.container.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Hide the image generation panel
+     */
+    hide() {
+        if (this.elements.container) {
+            this.elements.container.style.display = 'none';
+        }
+    }
+
+    /**
+     * Check if currently active
+     */
+    isActive() {
+        return !!this.elements.container && this.elements.container.style.display !== 'none';
+    }
+}
+
+// Create global instance
+window.puterImageGenManager = new PuterImageGenManager();
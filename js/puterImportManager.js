@@ -0,0 +1,330 @@
+/**
+ * Puter Import Manager
+ * Loads our JSON exports and OpenAI/Anthropic-style messages arrays back into a chat
+ */
+
+class PuterImportManager {
+    constructor() {
+        this.maxFileSize = 5 * 1024 * 1024; // 5MB
+        this.skippedRoles = ['system', 'developer', 'tool', 'function'];
+    }
+
+    /**
+     * Initialize the import buttons
+     */
+    init() {
+        const gridButton = document.getElementById('gridImportBtn');
+        const singleButton = document.getElementById('singleImportBtn');
+
+        if (gridButton) {
+            gridButton.addEventListener('click', () => this.openImportDialog('grid'));
+        }
+        if (singleButton) {
+            singleButton.addEventListener('click', () => this.openImportDialog('single'));
+        }
+    }
+
+    /**
+     * Parse import text into a title, a suggested model and a message list.
+     * Grid exports are flattened using each round's answer from preferredModelId when present.
+     */
+    parse(text, preferredModelId = null) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        if (data && data.format === 'puter-chatbot-export') {
+            return this.parsePuterExport(data, preferredModelId);
+        }
+
+        if (Array.isArray(data)) {
+            return this.buildResult(null, null, data);
+        }
+
+        if (data && Array.isArray(data.messages)) {
+            return this.buildResult(data.title || null, this.resolveModelId(data.model), data.messages, data.system ? 1 : 0);
+        }
+
+        throw new Error('Unrecognized format: expected a Puter export or a "messages" array');
+    }
+
+    /**
+     * Parse one of our own JSON exports
+     */
+    parsePuterExport(data, preferredModelId) {
+        if (data.version > puterExportManager.formatVersion) {
+            throw new Error(`Export version ${data.version} is newer than this app supports`);
+        }
+
+        if (data.mode === 'single') {
+            if (!Array.isArray(data.messages)) {
+                throw new Error('Export is missing its "messages" array');
+            }
+            return this.buildResult(data.title, this.resolveModelId(data.model?.id), data.messages);
+        }
+
+        if (data.mode === 'grid') {
+            if (!Array.isArray(data.rounds)) {
+                throw new Error('Export is missing its "rounds" array');
+            }
+
+            const messages = [];
+            data.rounds.forEach((round, index) => {
+                if (!round || typeof round.prompt !== 'string') {
+                    throw new Error(`Round ${index + 1} has no prompt`);
+                }
+
+                const responses = (round.companies || []).flatMap(group => group.responses || []);
+                const response = responses.find(entry => entry.model?.id === preferredModelId) || responses[0];
+
+                messages.push({ role: 'user', content: round.prompt, timestamp: round.timestamp });
+                if (response) {
+                    messages.push({
+                        role: 'assistant',
+                        content: response.content,
+                        timestamp: response.timestamp,
+                        parameters: response.parameters
+                    });
+                }
+            });
+
+            const firstModel = data.rounds[0]?.companies?.[0]?.responses?.[0]?.model?.id;
+            return this.buildResult(data.title, this.resolveModelId(firstModel), messages);
+        }
+
+        throw new Error(`Unknown export mode "${data.mode}"`);
+    }
+
+    /**
+     * Validate and normalize messages into history entries
+     */
+    buildResult(title, modelId, rawMessages, skipped = 0) {
+        const messages = [];
+
+        rawMessages.forEach((message, index) => {
+            const position = `Message ${index + 1}`;
+
+            if (!message || typeof message !== 'object') {
+                throw new Error(`${position} is not an object`);
+            }
+            if (typeof message.role !== 'string') {
+                throw new Error(`${position} has no role`);
+            }
+
+            const role = message.role.toLowerCase();
+            if (this.skippedRoles.includes(role)) {
+                skipped++;
+                return;
+            }
+            if (role !== 'user' && role !== 'assistant') {
+                throw new Error(`${position} has unsupported role "${message.role}"`);
+            }
+
+            const content = this.extractText(message.content);
+            if (content === null) {
+                // Assistant turns that only call tools carry no text
+                if (role === 'assistant' && message.tool_calls) {
+                    skipped++;
+                    return;
+                }
+                throw new Error(`${position} has no text content`);
+            }
+
+            const timestamp = Date.parse(message.timestamp);
+            messages.push({
+                role,
+                content,
+                timestamp: isNaN(timestamp) ? Date.now() : timestamp,
+                ...(message.parameters ? { parameters: message.parameters } : {})
+            });
+        });
+
+        if (!messages.some(message => message.role === 'user')) {
+            throw new Error('No user messages found');
+        }
+
+        return { title, modelId, messages, skipped };
+    }
+
+    /**
+     * Get the text of a message's content (a string or an array of content parts)
+     */
+    extractText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+
+        if (Array.isArray(content)) {
+            const texts = content
+                .map(part => typeof part === 'string' ? part : part && typeof part.text === 'string' ? part.text : null)
+                .filter(text => text !== null);
+            return texts.length > 0 ? texts.join('\n\n') : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Map a registry id or backend model name to a registry id
+     */
+    resolveModelId(name) {
+        if (!name || typeof name !== 'string') return null;
+        if (puterModelCapabilities.getModel(name)) return name;
+
+        const match = Object.entries(puterModelCapabilities.getAllModels())
+            .find(([, model]) => model.parameters && model.parameters.model === name);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Models an import can target in a mode
+     */
+    getTargetModels(mode) {
+        if (mode === 'grid') {
+            // Grid order, which blind mode shuffles, rather than the model list order
+            return Array.from(document.querySelectorAll('#chatGrid .chat-window'))
+                .map(chatWindow => chatWindow.getAttribute('data-model'))
+                .filter(modelId => puterUIManager.chatWindows.has(modelId));
+        }
+
+        return Object.entries(puterModelCapabilities.getAllModels())
+            .filter(([, model]) => model.type === 'chat' && model.supports.text)
+            .map(([modelId]) => modelId);
+    }
+
+    /**
+     * Import parsed messages into the single chat as a new conversation
+     */
+    async importIntoSingle(modelId, result) {
+        await puterConversationManager.leaveConversation('single');
+
+        puterStorageManager.setActiveConversationId('single', puterStorageManager.generateId('single'));
+        puterStorageManager.loadConversation({ mode: 'single', modelId, messages: result.messages });
+        await puterStorageManager.saveActiveConversation('single');
+
+        if (result.title) {
+            const conversation = await puterStorageManager.getConversation(puterStorageManager.activeConversationIds.single);
+            if (conversation) {
+                conversation.title = result.title;
+                await puterStorageManager.saveConversation(conversation);
+            }
+        }
+
+        puterUIManager.activateSidebarItem('single');
+        await puterConversationManager.refresh();
+    }
+
+    /**
+     * Replace one grid window's history with the parsed messages
+     */
+    async importIntoGridWindow(modelId, result) {
+        puterChatManager.stopGeneration(modelId);
+        await puterChatManager.whenIdle();
+
+        const windows = {};
+        puterChatManager.conversationHistories.forEach((history, id) => {
+            windows[id] = history;
+        });
+        windows[modelId] = result.messages;
+
+        puterStorageManager.loadConversation({ mode: 'grid', windows });
+        puterChatManager.notifyHistoryChanged();
+        puterUIManager.activateSidebarItem('all');
+    }
+
+    /**
+     * Read an uploaded file as text
+     */
+    readFile(file) {
+        if (file.size > this.maxFileSize) {
+            return Promise.reject(new Error(`File too large. Maximum size is ${this.maxFileSize / 1024 / 1024}MB`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Show the import options for a mode
+     */
+    openImportDialog(mode) {
+        const current = mode === 'grid' ? null : puterSingleChatManager.currentModel;
+        const options = this.getTargetModels(mode)
+            .map(modelId => {
+                const selected = modelId === current ? ' selected' : '';
+                const label = mode === 'grid' ? puterUIManager.getWindowLabel(modelId) : puterUIManager.getModelDisplayName(modelId);
+                return `<option value="${modelId}"${selected}>${puterExportManager.escapeHtml(label)}</option>`;
+            })
+            .join('');
+
+        const content = `
+            <div class="export-dialog import-dialog">
+                <label class="export-label" for="importFileInput">JSON file</label>
+                <input type="file" id="importFileInput" accept=".json,application/json">
+                <label class="export-label" for="importTextInput">…or paste JSON</label>
+                <textarea id="importTextInput" class="import-textarea" rows="8" placeholder='[{"role": "user", "content": "Hello"}]'></textarea>
+                <label class="export-label" for="importModelSelect">${mode === 'grid' ? 'Grid window' : 'Continue with'}</label>
+                <select id="importModelSelect" class="export-select">
+                    <option value="">${mode === 'grid' ? 'Select a window...' : 'Model from file'}</option>
+                    ${options}
+                </select>
+                <div class="import-error" id="importError"></div>
+                <button class="export-format-btn" id="importConfirmBtn">Import</button>
+            </div>
+        `;
+
+        const modal = puterApp.showModal(mode === 'grid' ? 'Import into Grid Window' : 'Import Chat', content);
+        const errorBox = modal.querySelector('#importError');
+
+        modal.querySelector('#importConfirmBtn').addEventListener('click', async () => {
+            errorBox.textContent = '';
+
+            try {
+                const file = modal.querySelector('#importFileInput').files[0];
+                const text = file ? await this.readFile(file) : modal.querySelector('#importTextInput').value.trim();
+                if (!text) {
+                    throw new Error('Choose a file or paste JSON to import');
+                }
+
+                const selectedModel = modal.querySelector('#importModelSelect').value || null;
+                const result = this.parse(text, selectedModel);
+                const modelId = selectedModel || (mode === 'single' ? result.modelId : null);
+
+                if (!modelId) {
+                    throw new Error(mode === 'grid'
+                        ? 'Select the grid window to import into'
+                        : 'The file does not name a known model, select one to continue with');
+                }
+
+                if (mode === 'grid') {
+                    const existing = puterChatManager.getHistory(modelId);
+                    if (existing.length > 0 &&
+                        !confirm(`Replace the ${puterUIManager.getWindowLabel(modelId)} window's history?`)) {
+                        return;
+                    }
+                    await this.importIntoGridWindow(modelId, result);
+                } else {
+                    await this.importIntoSingle(modelId, result);
+                }
+
+                modal.remove();
+                const skippedNote = result.skipped > 0 ? ` (${result.skipped} system/tool messages skipped)` : '';
+                puterUIManager.showNotification(`Imported ${result.messages.length} messages${skippedNote}`);
+            } catch (error) {
+                console.error('❌ Import failed:', error);
+                errorBox.textContent = error.message;
+                puterUIManager.showError(`Import failed: ${error.message}`);
+            }
+        });
+    }
+}
+
+// Create global instance
+window.puterImportManager = new PuterImportManager();
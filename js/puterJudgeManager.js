@@ -0,0 +1,333 @@
+/**
+ * Puter Judge Manager
+ * Has a chosen model score a round's answers against a rubric, without knowing who wrote them
+ */
+
+class PuterJudgeManager {
+    constructor() {
+        this.rubricKey = 'judgeRubric';
+        this.judgeModelKey = 'judgeModel';
+        this.defaultRubric = [
+            'Correctness: facts, code and calculations are right.',
+            'Completeness: the whole question is answered.',
+            'Clarity: well organized and easy to follow.',
+            'Concision: no padding or needless repetition.'
+        ].join('\n');
+        this.rubric = this.defaultRubric;
+        this.judgeModelId = null;
+        this.maxScore = 10;
+        this.running = false;
+    }
+
+    /**
+     * Load the saved rubric and judge, and bind the judge button
+     */
+    async init() {
+        const judgeButton = document.getElementById('gridJudgeBtn');
+        if (judgeButton) {
+            judgeButton.addEventListener('click', () => this.openJudgeDialog());
+        }
+
+        const [rubric, judgeModelId] = await Promise.all([
+            puterStorageManager.getMeta(this.rubricKey),
+            puterStorageManager.getMeta(this.judgeModelKey)
+        ]);
+        if (typeof rubric === 'string' && rubric.trim()) {
+            this.rubric = rubric;
+        }
+        if (judgeModelId && puterModelCapabilities.getModel(judgeModelId)) {
+            this.judgeModelId = judgeModelId;
+        }
+
+        console.log('✅ Judge Manager initialized');
+    }
+
+    /**
+     * Rounds with at least one answer to judge
+     */
+    getJudgeableRounds() {
+        return puterChatManager.getRounds().filter(round => this.getAnswers(round).length > 0);
+    }
+
+    /**
+     * The round's finished answers. Fallback answers are left out so scores stay with the model that wrote them.
+     */
+    getAnswers(round) {
+        return puterChatManager.getFinishedAnswers(round).filter(answer => !answer.answeredBy);
+    }
+
+    /**
+     * Remove the names of the models and their makers from an answer
+     */
+    anonymize(content, modelIds) {
+        const names = new Set();
+        modelIds.forEach(modelId => {
+            names.add(puterUIManager.getModelDisplayName(modelId));
+            names.add(puterUIManager.getModelCompany(modelId));
+        });
+
+        let text = content;
+        [...names]
+            .filter(name => name && name.length > 1 && name !== 'Other')
+            .sort((a, b) => b.length - a.length)
+            .forEach(name => {
+                const pattern = new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
+                text = text.replace(pattern, '[redacted]');
+            });
+
+        return puterChatManager.truncateForQuote(text);
+    }
+
+    /**
+     * Shuffle the answers and letter them so neither names nor grid order reach the judge
+     */
+    labelAnswers(answers) {
+        const shuffled = [...answers];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled.map((answer, index) => ({ ...answer, label: puterUIManager.getLetterLabel(index) }));
+    }
+
+    /**
+     * Build the judge's messages for a round
+     */
+    buildMessages(prompt, labelledAnswers, rubric) {
+        const modelIds = labelledAnswers.map(answer => answer.modelId);
+        const answersText = labelledAnswers.map(answer =>
+            `Answer ${answer.label}:\n"""\n${this.anonymize(answer.content, modelIds)}\n"""`
+        ).join('\n\n');
+
+        return [
+            {
+                role: 'system',
+                content: 'You are an impartial judge comparing answers written by anonymous AI assistants. ' +
+                    'Score every answer against the rubric, ignoring answer order and who might have written it. Reply with JSON only.'
+            },
+            {
+                role: 'user',
+                content: `Rubric:\n${rubric}\n\nQuestion:\n${prompt}\n\n${answersText}\n\n` +
+                    `Score each answer from 0 to ${this.maxScore} and reply with a JSON object in exactly this shape:\n` +
+                    `{"scores": [{"answer": "A", "score": 7, "rationale": "One or two sentences."}], "summary": "Which answer is best and why."}\n` +
+                    'Include every answer exactly once.'
+            }
+        ];
+    }
+
+    /**
+     * Pull the JSON verdict out of the judge's reply
+     */
+    parseVerdict(text) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw new Error('The judge did not reply with JSON');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            throw new Error(`The judge's JSON could not be read: ${error.message}`);
+        }
+        if (!data || !Array.isArray(data.scores)) {
+            throw new Error('The judge\'s reply has no scores');
+        }
+        return data;
+    }
+
+    /**
+     * Map the judge's lettered scores back to the models
+     */
+    buildJudgement(data, labelledAnswers, judgeModelId, rubric) {
+        const byLabel = new Map();
+        data.scores.forEach(entry => {
+            const label = String(entry?.answer ?? '').replace(/^answer\s*/i, '').trim().toUpperCase();
+            if (label && !byLabel.has(label)) {
+                byLabel.set(label, entry);
+            }
+        });
+
+        const scores = labelledAnswers.map(answer => {
+            const entry = byLabel.get(answer.label);
+            const score = entry ? parseFloat(entry.score) : NaN;
+            return {
+                modelId: answer.modelId,
+                label: answer.label,
+                score: isNaN(score) ? null : Math.min(this.maxScore, Math.max(0, score)),
+                rationale: entry && entry.rationale ? String(entry.rationale) : 'Not scored by the judge'
+            };
+        });
+
+        return {
+            judgeModelId,
+            rubric,
+            timestamp: Date.now(),
+            maxScore: this.maxScore,
+            scores,
+            summary: typeof data.summary === 'string' ? data.summary : ''
+        };
+    }
+
+    /**
+     * Ask the judge model to score a round and save the verdict with it.
+     * `options.signal` stops the request; `options.save: false` keeps the verdict off the round.
+     */
+    async judgeRound(round, judgeModelId, rubric, options = {}) {
+        const model = puterModelCapabilities.getModel(judgeModelId);
+        if (!model) {
+            throw new Error(`Model ${judgeModelId} not found`);
+        }
+
+        const labelledAnswers = this.labelAnswers(this.getAnswers(round));
+        const messages = this.buildMessages(String(round.prompt || ''), labelledAnswers, rubric);
+        const parameters = {
+            ...model.parameters,
+            temperature: 0,
+            // Room for a rationale per answer
+            max_tokens: Math.max(model.parameters.max_tokens || 0, 400 + labelledAnswers.length * 150)
+        };
+
+        // Retries use their own key so the countdown stays out of the judge model's grid window
+        const signal = options.signal || null;
+        const response = await puterRequestScheduler.run(`judge:${judgeModelId}`, async () => {
+            try {
+                return await puterChatManager.abortable(puter.ai.chat(messages, parameters), signal);
+            } catch (error) {
+                // Only a rejected message format is worth the flattened prompt; the scheduler handles the rest
+                if (puterChatManager.isAbortError(error) || puterRequestScheduler.classifyError(error).kind !== 'unknown') throw error;
+
+                const [system, user] = messages;
+                return puterChatManager.abortable(puter.ai.chat(`${system.content}\n\n${user.content}`, parameters), signal);
+            }
+        }, signal);
+
+        const text = puterChatManager.extractContentFromResponse(response);
+        const judgement = this.buildJudgement(this.parseVerdict(text), labelledAnswers, judgeModelId, rubric);
+        if (options.save !== false) {
+            puterChatManager.setJudgement(round.id, judgement);
+        }
+        return judgement;
+    }
+
+    /**
+     * Show the judge dialog for the latest round
+     */
+    openJudgeDialog() {
+        const rounds = this.getJudgeableRounds();
+        if (rounds.length === 0) {
+            puterUIManager.showError('No grid answers to judge yet');
+            return;
+        }
+
+        const judgeModels = puterChatManager.getAllChatModels();
+        const judgeModelId = judgeModels.includes(this.judgeModelId) ? this.judgeModelId : judgeModels[0];
+
+        const roundOptions = rounds.map((round, index) => {
+            const label = `Round ${index + 1}: ${puterStorageManager.makeTitle(round.prompt)}`;
+            const selected = index === rounds.length - 1 ? ' selected' : '';
+            return `<option value="${puterSanitizer.escape(round.id)}"${selected}>${puterSanitizer.escape(label)}</option>`;
+        }).join('');
+        const modelOptions = judgeModels.map(modelId =>
+            `<option value="${puterSanitizer.escape(modelId)}"${modelId === judgeModelId ? ' selected' : ''}>${puterSanitizer.escape(puterUIManager.getModelDisplayName(modelId))}</option>`
+        ).join('');
+
+        const content = `
+            <div class="metrics-dialog judge-dialog">
+                <div class="metrics-controls">
+                    <select id="judgeRoundSelect" class="export-select">${roundOptions}</select>
+                    <select id="judgeModelSelect" class="export-select" title="Judge model">${modelOptions}</select>
+                </div>
+                <label class="judge-label" for="judgeRubricInput">Rubric</label>
+                <textarea id="judgeRubricInput" class="import-textarea" rows="5"></textarea>
+                <div class="metrics-controls">
+                    <button class="export-btn" id="judgeRunBtn">⚖️ Judge answers</button>
+                    <button class="export-btn" id="judgeResetBtn">Reset rubric</button>
+                </div>
+                <div class="judge-result"></div>
+            </div>
+        `;
+
+        const modal = puterApp.showModal('Judge Answers', content);
+        const roundSelect = modal.querySelector('#judgeRoundSelect');
+        const modelSelect = modal.querySelector('#judgeModelSelect');
+        const rubricInput = modal.querySelector('#judgeRubricInput');
+        const runButton = modal.querySelector('#judgeRunBtn');
+        const getRound = () => rounds.find(round => round.id === roundSelect.value);
+        const render = () => this.renderJudgement(modal, puterChatManager.getJudgement(roundSelect.value));
+
+        rubricInput.value = this.rubric;
+        roundSelect.addEventListener('change', render);
+        modal.querySelector('#judgeResetBtn').addEventListener('click', () => {
+            rubricInput.value = this.defaultRubric;
+        });
+
+        runButton.addEventListener('click', async () => {
+            if (this.running) return;
+
+            const rubric = rubricInput.value.trim() || this.defaultRubric;
+            this.rubric = rubric;
+            this.judgeModelId = modelSelect.value;
+            puterStorageManager.setMeta(this.rubricKey, rubric);
+            puterStorageManager.setMeta(this.judgeModelKey, this.judgeModelId);
+
+            this.running = true;
+            runButton.disabled = true;
+            runButton.textContent = '⏳ Judging…';
+            try {
+                const round = getRound();
+                const judgement = await this.judgeRound(round, this.judgeModelId, rubric);
+                if (roundSelect.value === round.id) {
+                    this.renderJudgement(modal, judgement);
+                }
+                puterUIManager.showNotification('Judging complete');
+            } catch (error) {
+                console.error('❌ Judging failed:', error);
+                puterUIManager.showError(`Judging failed: ${error.message}`);
+            } finally {
+                this.running = false;
+                runButton.disabled = false;
+                runButton.textContent = '⚖️ Judge answers';
+            }
+        });
+
+        render();
+    }
+
+    /**
+     * Show a saved verdict as a score table, best first
+     */
+    renderJudgement(modal, judgement) {
+        const result = modal.querySelector('.judge-result');
+        if (!judgement) {
+            result.innerHTML = '<p class="metrics-note">This round has not been judged yet.</p>';
+            return;
+        }
+
+        const scores = [...judgement.scores].sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+        const escape = (value) => puterSanitizer.escape(value);
+
+        result.innerHTML = `
+            <p class="metrics-note">Judged by ${escape(puterUIManager.getModelDisplayName(judgement.judgeModelId))}
+                on ${escape(new Date(judgement.timestamp).toLocaleString())}</p>
+            ${judgement.summary ? `<p class="judge-summary">${escape(judgement.summary)}</p>` : ''}
+            <div class="table-wrapper">
+                <table class="metrics-table judge-table">
+                    <thead><tr><th>Model</th><th>Answer</th><th>Score</th><th>Rationale</th></tr></thead>
+                    <tbody>${scores.map(entry => `
+                        <tr>
+                            <td>${escape(puterUIManager.getWindowLabel(entry.modelId))}</td>
+                            <td>${escape(entry.label)}</td>
+                            <td>${entry.score === null ? '—' : `${entry.score} / ${judgement.maxScore}`}</td>
+                            <td class="judge-rationale">${escape(entry.rationale)}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// Create global instance
+window.puterJudgeManager = new PuterJudgeManager();
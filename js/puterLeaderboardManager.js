@@ -0,0 +1,490 @@
+/**
+ * Puter Leaderboard Manager
+ * Collects thumbs and rankings for grid answers and turns them into an Elo / win-rate leaderboard
+ */
+
+class PuterLeaderboardManager {
+    constructor() {
+        this.storageKey = 'leaderboardBallots';
+        this.ballots = []; // One per voted round: { roundId, prompt, category, timestamp, votes, ranks }
+        this.initialRating = 1000;
+        this.kFactor = 32;
+        // Checked in order; a #hashtag in the prompt wins over all of them.
+        // Arithmetic needs spaces around the operator so dates and ranges like 2020-2021 or 3/4 don't count
+        this.categoryRules = [
+            ['translation', /\b(translate|translation|in (?:english|spanish|french|german|hindi|japanese|chinese))\b/i],
+            ['code', /```|\b(code|function|bug|error|javascript|python|typescript|java|sql|regex|api|compile|debug|script|css|html)\b/i],
+            ['math', /\b(calculate|equation|integral|derivative|probability|solve|proof|theorem|math)\b|\d\s+[-+*/^]\s+\d/i],
+            ['writing', /\b(write|essay|story|poem|email|rewrite|summari[sz]e|blog|letter|tone)\b/i],
+            ['reasoning', /\b(why|explain|compare|analy[sz]e|pros and cons|reason|logic|puzzle)\b/i]
+        ];
+        this.filter = { category: '', method: 'elo', blindOnly: false };
+    }
+
+    /**
+     * Load saved votes and bind the leaderboard button
+     */
+    async init() {
+        const leaderboardButton = document.getElementById('gridLeaderboardBtn');
+        if (leaderboardButton) {
+            leaderboardButton.addEventListener('click', () => this.openLeaderboardDialog());
+        }
+
+        const stored = await puterStorageManager.getMeta(this.storageKey);
+        this.ballots = Array.isArray(stored) ? stored : [];
+
+        // Answers restored before the votes loaded show them now
+        document.querySelectorAll('.vote-controls').forEach(controls => this.updateControls(controls));
+
+        console.log(`✅ Leaderboard Manager initialized (${this.ballots.length} voted rounds)`);
+    }
+
+    /**
+     * Save votes locally
+     */
+    save() {
+        return puterStorageManager.setMeta(this.storageKey, this.ballots);
+    }
+
+    /**
+     * Guess a prompt's category; a #hashtag sets it explicitly
+     */
+    categorize(prompt) {
+        const text = String(prompt || '');
+        const hashtag = text.match(/(?:^|\s)#([a-z][\w-]{1,30})\b/i);
+        if (hashtag) return hashtag[1].toLowerCase();
+
+        const rule = this.categoryRules.find(([, pattern]) => pattern.test(text));
+        return rule ? rule[0] : 'general';
+    }
+
+    /**
+     * Find or create the ballot for a round
+     */
+    getBallot(roundId, create = false) {
+        let ballot = this.ballots.find(entry => entry.roundId === roundId);
+        if (!ballot && create) {
+            const round = puterChatManager.getRounds().find(entry => entry.id === roundId);
+            const prompt = round ? String(round.prompt || '') : '';
+            ballot = {
+                roundId,
+                prompt: puterStorageManager.makeTitle(prompt),
+                category: this.categorize(prompt),
+                timestamp: Date.now(),
+                votes: {},
+                ranks: {}
+            };
+
+            // Rounds judged blind keep the letters the models were shown under
+            const blindRecord = window.puterBlindModeManager ? puterBlindModeManager.getRoundRecord(roundId) : null;
+            if (blindRecord) {
+                ballot.blind = true;
+                ballot.labels = blindRecord.labels;
+                if (blindRecord.revealedAt) {
+                    ballot.revealedAt = blindRecord.revealedAt;
+                }
+            }
+            this.ballots.push(ballot);
+        }
+        return ballot || null;
+    }
+
+    /**
+     * Record a thumbs up (1) or down (-1); voting the same way again clears it
+     */
+    vote(roundId, modelId, value) {
+        const ballot = this.getBallot(roundId, true);
+        if (ballot.votes[modelId] === value) {
+            delete ballot.votes[modelId];
+        } else {
+            ballot.votes[modelId] = value;
+        }
+        this.cleanUp(ballot);
+        this.save();
+        this.refreshControls(roundId);
+        this.notifyBlindMode(roundId);
+    }
+
+    /**
+     * Record a model's rank within its round (1 = best); an empty rank clears it
+     */
+    rank(roundId, modelId, rank) {
+        const ballot = this.getBallot(roundId, true);
+        if (rank) {
+            // A rank belongs to one model at a time
+            Object.keys(ballot.ranks).forEach(otherId => {
+                if (ballot.ranks[otherId] === rank) delete ballot.ranks[otherId];
+            });
+            ballot.ranks[modelId] = rank;
+        } else {
+            delete ballot.ranks[modelId];
+        }
+        this.cleanUp(ballot);
+        this.save();
+        this.refreshControls(roundId);
+        this.notifyBlindMode(roundId);
+    }
+
+    /**
+     * Note on a blind round's ballot when the names were revealed
+     */
+    markRevealed(roundId, revealedAt) {
+        const ballot = this.getBallot(roundId);
+        if (ballot && ballot.blind) {
+            ballot.revealedAt = revealedAt;
+            this.save();
+        }
+    }
+
+    /**
+     * Let blind mode reveal names once the round is judged
+     */
+    notifyBlindMode(roundId) {
+        if (window.puterBlindModeManager) {
+            puterBlindModeManager.onVote(roundId);
+        }
+    }
+
+    /**
+     * Drop ballots that no longer hold any vote
+     */
+    cleanUp(ballot) {
+        if (Object.keys(ballot.votes).length === 0 && Object.keys(ballot.ranks).length === 0) {
+            this.ballots = this.ballots.filter(entry => entry !== ballot);
+        }
+    }
+
+    /**
+     * Add vote controls to a window's newest answer
+     */
+    attachToLatestAnswer(modelId, roundId) {
+        const chatWindow = puterUIManager.chatWindows.get(modelId);
+        if (!chatWindow) return;
+
+        const answers = chatWindow.querySelectorAll('.message.assistant');
+        if (answers.length > 0) {
+            this.attachControls(answers[answers.length - 1], roundId, modelId);
+        }
+    }
+
+    /**
+     * Add thumbs and a rank picker to a grid answer
+     */
+    attachControls(messageDiv, roundId, modelId) {
+        if (!messageDiv || !roundId || messageDiv.querySelector('.vote-controls')) return;
+
+        const controls = document.createElement('div');
+        controls.className = 'vote-controls';
+        controls.setAttribute('data-round', roundId);
+        controls.setAttribute('data-model', modelId);
+
+        const rankOptions = Array.from({ length: puterUIManager.chatWindows.size }, (_, index) =>
+            `<option value="${index + 1}">#${index + 1}</option>`).join('');
+        controls.innerHTML = `
+            <button class="vote-btn" data-vote="1" title="Good answer">👍</button>
+            <button class="vote-btn" data-vote="-1" title="Bad answer">👎</button>
+            <select class="vote-rank" title="Rank among this round's answers">
+                <option value="">Rank</option>
+                ${rankOptions}
+            </select>
+        `;
+
+        controls.querySelectorAll('.vote-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.vote(roundId, modelId, parseInt(button.getAttribute('data-vote'), 10));
+            });
+        });
+        controls.querySelector('.vote-rank').addEventListener('change', (e) => {
+            this.rank(roundId, modelId, e.target.value ? parseInt(e.target.value, 10) : null);
+        });
+
+        messageDiv.appendChild(controls);
+        this.updateControls(controls);
+    }
+
+    /**
+     * Show the current votes on every control for a round
+     */
+    refreshControls(roundId) {
+        document.querySelectorAll('.vote-controls').forEach(controls => {
+            if (controls.getAttribute('data-round') === roundId) {
+                this.updateControls(controls);
+            }
+        });
+    }
+
+    /**
+     * Show the current vote and rank on one set of controls
+     */
+    updateControls(controls) {
+        const ballot = this.getBallot(controls.getAttribute('data-round'));
+        const modelId = controls.getAttribute('data-model');
+        const vote = ballot ? ballot.votes[modelId] : undefined;
+        const rank = ballot ? ballot.ranks[modelId] : undefined;
+
+        controls.querySelectorAll('.vote-btn').forEach(button => {
+            button.classList.toggle('active', parseInt(button.getAttribute('data-vote'), 10) === vote);
+        });
+        controls.querySelector('.vote-rank').value = rank ? String(rank) : '';
+    }
+
+    /**
+     * Turn a ballot into pairwise results: ranks decide ranked pairs, thumbs decide the rest
+     */
+    getMatches(ballot) {
+        const modelIds = [...new Set([...Object.keys(ballot.votes), ...Object.keys(ballot.ranks)])];
+        const matches = [];
+
+        for (let i = 0; i < modelIds.length; i++) {
+            for (let j = i + 1; j < modelIds.length; j++) {
+                const a = modelIds[i];
+                const b = modelIds[j];
+                let score = null; // 1 = a wins, 0 = b wins, 0.5 = draw
+
+                if (ballot.ranks[a] && ballot.ranks[b]) {
+                    score = ballot.ranks[a] < ballot.ranks[b] ? 1 : 0;
+                } else if (ballot.votes[a] && ballot.votes[b]) {
+                    score = ballot.votes[a] === ballot.votes[b] ? 0.5 : (ballot.votes[a] > ballot.votes[b] ? 1 : 0);
+                }
+
+                if (score !== null) {
+                    matches.push({ a, b, score });
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Ballots matching a category ('' = all), optionally only blind ones
+     */
+    getFilteredBallots(category = '', blindOnly = false) {
+        return this.ballots.filter(ballot =>
+            (!category || ballot.category === category) && (!blindOnly || ballot.blind));
+    }
+
+    /**
+     * Compute standings for the filtered ballots
+     */
+    getStandings(category = '', blindOnly = false) {
+        const ballots = this.getFilteredBallots(category, blindOnly)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const stats = new Map();
+        const statsFor = (modelId) => {
+            if (!stats.has(modelId)) {
+                stats.set(modelId, {
+                    modelId,
+                    model: puterUIManager.getModelDisplayName(modelId),
+                    rating: this.initialRating,
+                    wins: 0,
+                    losses: 0,
+                    draws: 0,
+                    up: 0,
+                    down: 0,
+                    rounds: 0
+                });
+            }
+            return stats.get(modelId);
+        };
+
+        ballots.forEach(ballot => {
+            new Set([...Object.keys(ballot.votes), ...Object.keys(ballot.ranks)]).forEach(modelId => {
+                const entry = statsFor(modelId);
+                entry.rounds++;
+                if (ballot.votes[modelId] === 1) entry.up++;
+                if (ballot.votes[modelId] === -1) entry.down++;
+            });
+
+            this.getMatches(ballot).forEach(({ a, b, score }) => {
+                const first = statsFor(a);
+                const second = statsFor(b);
+                const expected = 1 / (1 + Math.pow(10, (second.rating - first.rating) / 400));
+                const change = this.kFactor * (score - expected);
+                first.rating += change;
+                second.rating -= change;
+
+                if (score === 1) {
+                    first.wins++;
+                    second.losses++;
+                } else if (score === 0) {
+                    first.losses++;
+                    second.wins++;
+                } else {
+                    first.draws++;
+                    second.draws++;
+                }
+            });
+        });
+
+        return [...stats.values()].map(entry => {
+            const matches = entry.wins + entry.losses + entry.draws;
+            const votes = entry.up + entry.down;
+            return {
+                ...entry,
+                rating: Math.round(entry.rating),
+                // Without head-to-head results, fall back to the share of thumbs up
+                winRate: matches > 0 ? (entry.wins + entry.draws / 2) / matches : (votes > 0 ? entry.up / votes : null)
+            };
+        });
+    }
+
+    /**
+     * Sort standings by the selected method
+     */
+    sortStandings(standings, method) {
+        const key = method === 'winrate' ? 'winRate' : 'rating';
+        return [...standings].sort((a, b) => (b[key] ?? -1) - (a[key] ?? -1));
+    }
+
+    /**
+     * Categories that have votes
+     */
+    getCategories() {
+        return [...new Set(this.ballots.map(ballot => ballot.category))].sort();
+    }
+
+    /**
+     * Show the leaderboard
+     */
+    openLeaderboardDialog() {
+        if (window.puterBlindModeManager && puterBlindModeManager.isConcealed()) {
+            puterUIManager.showError('The leaderboard opens once the model names are revealed');
+            return;
+        }
+        if (this.ballots.length === 0) {
+            puterUIManager.showError('No votes yet. Use 👍 / 👎 or Rank under grid answers.');
+            return;
+        }
+
+        const categories = this.getCategories();
+        if (!categories.includes(this.filter.category)) {
+            this.filter.category = '';
+        }
+
+        const content = `
+            <div class="metrics-dialog leaderboard-dialog">
+                <div class="metrics-controls">
+                    <select id="leaderboardCategorySelect" class="export-select">
+                        <option value="">All categories</option>
+                        ${categories.map(category =>
+                            `<option value="${puterSanitizer.escape(category)}">${puterSanitizer.escape(category)}</option>`).join('')}
+                    </select>
+                    <select id="leaderboardMethodSelect" class="export-select">
+                        <option value="elo">Elo rating</option>
+                        <option value="winrate">Win rate</option>
+                    </select>
+                    <label class="diff-sync">
+                        <input type="checkbox" id="leaderboardBlindToggle"${this.filter.blindOnly ? ' checked' : ''}>
+                        Blind only
+                    </label>
+                </div>
+                <div class="table-wrapper">
+                    <table class="metrics-table leaderboard-table">
+                        <thead><tr>
+                            <th>#</th><th>Model</th><th>Elo</th><th>Win rate</th><th>W-L-D</th><th>👍</th><th>👎</th><th>Rounds</th>
+                        </tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                <p class="metrics-note leaderboard-summary"></p>
+                <div class="metrics-controls">
+                    <button class="export-btn" data-leaderboard-export="csv">⬇️ CSV</button>
+                    <button class="export-btn" data-leaderboard-export="json">⬇️ JSON</button>
+                    <button class="export-btn leaderboard-clear-btn">🗑️ Clear votes</button>
+                </div>
+            </div>
+        `;
+
+        const modal = puterApp.showModal('Model Leaderboard', content);
+        const categorySelect = modal.querySelector('#leaderboardCategorySelect');
+        const methodSelect = modal.querySelector('#leaderboardMethodSelect');
+        categorySelect.value = this.filter.category;
+        methodSelect.value = this.filter.method;
+
+        const blindToggle = modal.querySelector('#leaderboardBlindToggle');
+
+        const render = () => {
+            this.filter = { category: categorySelect.value, method: methodSelect.value, blindOnly: blindToggle.checked };
+            this.renderTable(modal);
+        };
+        categorySelect.addEventListener('change', render);
+        methodSelect.addEventListener('change', render);
+        blindToggle.addEventListener('change', render);
+
+        modal.querySelectorAll('[data-leaderboard-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportLeaderboard(button.getAttribute('data-leaderboard-export')));
+        });
+        modal.querySelector('.leaderboard-clear-btn').addEventListener('click', async () => {
+            if (!confirm('Delete every vote? This cannot be undone.')) return;
+            this.ballots = [];
+            await this.save();
+            document.querySelectorAll('.vote-controls').forEach(controls => this.updateControls(controls));
+            modal.remove();
+            puterUIManager.showNotification('Votes cleared');
+        });
+
+        render();
+    }
+
+    /**
+     * Fill the leaderboard table for the current filter
+     */
+    renderTable(modal) {
+        const standings = this.sortStandings(this.getStandings(this.filter.category, this.filter.blindOnly), this.filter.method);
+        const rounds = this.getFilteredBallots(this.filter.category, this.filter.blindOnly).length;
+
+        modal.querySelector('.leaderboard-table tbody').innerHTML = standings.map((entry, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${puterSanitizer.escape(entry.model)}</td>
+                <td>${entry.rating}</td>
+                <td>${entry.winRate === null ? '—' : `${Math.round(entry.winRate * 100)}%`}</td>
+                <td>${entry.wins}-${entry.losses}-${entry.draws}</td>
+                <td>${entry.up}</td>
+                <td>${entry.down}</td>
+                <td>${entry.rounds}</td>
+            </tr>
+        `).join('');
+
+        modal.querySelector('.leaderboard-summary').textContent =
+            `${rounds} voted round${rounds === 1 ? '' : 's'}. Tag a prompt with #category to file its votes under that category.`;
+    }
+
+    /**
+     * Download the standings as CSV, or the standings and every ballot as JSON
+     */
+    exportLeaderboard(format) {
+        const standings = this.sortStandings(this.getStandings(this.filter.category, this.filter.blindOnly), this.filter.method);
+        const filename = puterExportManager.makeFilename({
+            title: `leaderboard ${this.filter.category || 'all'}`,
+            exportedAt: new Date().toISOString()
+        });
+
+        if (format === 'csv') {
+            const header = ['Rank', 'Model', 'Model ID', 'Elo', 'Win rate', 'Wins', 'Losses', 'Draws', 'Thumbs up', 'Thumbs down', 'Rounds'];
+            const rows = standings.map((entry, index) => puterExportManager.toCsvLine([
+                index + 1, entry.model, entry.modelId, entry.rating,
+                entry.winRate === null ? '' : entry.winRate.toFixed(3),
+                entry.wins, entry.losses, entry.draws, entry.up, entry.down, entry.rounds
+            ]));
+            puterExportManager.download([puterExportManager.toCsvLine(header), ...rows].join('\n'), `${filename}.csv`, 'text/csv');
+            return;
+        }
+
+        const data = {
+            format: 'puter-chatbot-leaderboard',
+            exportedAt: new Date().toISOString(),
+            category: this.filter.category || null,
+            method: this.filter.method,
+            blindOnly: this.filter.blindOnly,
+            standings,
+            ballots: this.getFilteredBallots(this.filter.category, this.filter.blindOnly)
+        };
+        puterExportManager.download(JSON.stringify(data, null, 2), `${filename}.json`, 'application/json');
+    }
+}
+
+// Create global instance
+window.puterLeaderboardManager = new PuterLeaderboardManager();
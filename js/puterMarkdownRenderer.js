@@ -0,0 +1,421 @@
+/**
+ * Puter Markdown Renderer
+ * Renders GitHub-flavoured Markdown for every chat window.
+ * Tolerates half-streamed input: an unclosed code fence renders as an open code block.
+ * Math and Mermaid fences are emitted as placeholders for puterRichContentRenderer.
+ */
+
+class PuterMarkdownRenderer {
+    constructor() {
+        this.patterns = {
+            fence: /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)?.*$/,
+            mathBlock: /^ {0,3}(\$\$|\\\[)(.*)$/,
+            heading: /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+            rule: /^ {0,3}([-*_])(\s*\1){2,}\s*$/,
+            blockquote: /^ {0,3}> ?/,
+            listItem: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+            tableDelimiter: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+            task: /^\[([ xX])\]\s+/
+        };
+        this.safeUrl = /^(https?:|mailto:|#|\/|\.\/|\.\.\/)/i;
+    }
+
+    /**
+     * Render Markdown to HTML
+     */
+    render(markdown) {
+        if (!markdown) return '';
+
+        const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+        return this.renderBlocks(lines, false);
+    }
+
+    /**
+     * Escape text for HTML (also safe inside attributes)
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Count leading spaces (tabs count as four)
+     */
+    indentOf(line) {
+        const match = line.match(/^[ \t]*/)[0];
+        return match.replace(/\t/g, '    ').length;
+    }
+
+    /**
+     * Remove up to `count` columns of indentation
+     */
+    dedent(line, count) {
+        let removed = 0;
+        let index = 0;
+        while (index < line.length && removed < count && (line[index] === ' ' || line[index] === '\t')) {
+            removed += line[index] === '\t' ? 4 : 1;
+            index++;
+        }
+        return line.slice(index);
+    }
+
+    /**
+     * Check whether a line starts a block other than a paragraph
+     */
+    startsBlock(lines, index) {
+        const line = lines[index];
+        return this.patterns.fence.test(line) ||
+            this.patterns.mathBlock.test(line) ||
+            this.patterns.heading.test(line) ||
+            this.patterns.rule.test(line) ||
+            this.patterns.blockquote.test(line) ||
+            this.patterns.listItem.test(line) ||
+            this.isTableStart(lines, index);
+    }
+
+    /**
+     * Check for a table header followed by its delimiter row
+     */
+    isTableStart(lines, index) {
+        return lines[index].includes('|') &&
+            index + 1 < lines.length &&
+            lines[index + 1].includes('-') &&
+            this.patterns.tableDelimiter.test(lines[index + 1]);
+    }
+
+    /**
+     * Render a run of lines as blocks. Tight list items render paragraphs without <p>.
+     */
+    renderBlocks(lines, tight) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            let match;
+
+            if ((match = line.match(this.patterns.fence))) {
+                const fence = match[1];
+                const language = match[2] || '';
+                const code = [];
+                i++;
+                while (i < lines.length && !(lines[i].trim().startsWith(fence[0].repeat(fence.length)) &&
+                        /^ {0,3}(`{3,}|~{3,})\s*$/.test(lines[i]))) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // Skip the closing fence (past the end if still streaming)
+                html.push(this.renderCodeBlock(code.join('\n'), language));
+                continue;
+            }
+
+            if ((match = line.match(this.patterns.mathBlock))) {
+                const closer = match[1] === '$$' ? '$$' : '\\]';
+                const tex = [];
+                let rest = match[2];
+                i++;
+                // Collect lines until the closing delimiter (or the end, while streaming)
+                while (!rest.includes(closer) && i < lines.length) {
+                    tex.push(rest);
+                    rest = lines[i];
+                    i++;
+                }
+                tex.push(rest.includes(closer) ? rest.slice(0, rest.indexOf(closer)) : rest);
+                html.push(this.renderMath(tex.join('\n').trim(), true, true));
+                continue;
+            }
+
+            if ((match = line.match(this.patterns.heading))) {
+                const level = match[1].length;
+                html.push(`<h${level}>${this.renderInline(match[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (this.patterns.rule.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (this.patterns.blockquote.test(line)) {
+                const quoted = [];
+                while (i < lines.length && lines[i].trim() && this.patterns.blockquote.test(lines[i])) {
+                    quoted.push(lines[i].replace(this.patterns.blockquote, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quoted, false)}</blockquote>`);
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const rows = [];
+                const delimiter = lines[i + 1];
+                rows.push(lines[i]);
+                i += 2;
+                while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderTable(rows, delimiter));
+                continue;
+            }
+
+            if (this.patterns.listItem.test(line)) {
+                const list = this.parseList(lines, i);
+                html.push(list.html);
+                i = list.end;
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or another block starts
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            const text = this.renderInline(paragraph.join('\n')).replace(/\n/g, '<br>');
+            html.push(tight ? text : `<p>${text}</p>`);
+        }
+
+        return html.join(tight ? '' : '\n');
+    }
+
+    /**
+     * Parse a (possibly nested) list starting at `start`
+     */
+    parseList(lines, start) {
+        const first = lines[start].match(this.patterns.listItem);
+        const baseIndent = this.indentOf(first[1]);
+        const ordered = /\d/.test(first[2]);
+        const startNumber = ordered ? parseInt(first[2], 10) : 1;
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const match = lines[i].match(this.patterns.listItem);
+            if (!match || this.indentOf(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) {
+                break;
+            }
+
+            // Continuation lines are indented past the marker
+            const contentIndent = baseIndent + match[2].length + 1;
+            const itemLines = [match[3]];
+            i++;
+
+            while (i < lines.length) {
+                const line = lines[i];
+
+                if (!line.trim()) {
+                    // A blank line only continues the item if indented content follows
+                    let next = i + 1;
+                    while (next < lines.length && !lines[next].trim()) next++;
+                    if (next < lines.length && this.indentOf(lines[next]) > baseIndent) {
+                        loose = true;
+                        itemLines.push('');
+                        i++;
+                        continue;
+                    }
+                    if (next < lines.length) {
+                        const sibling = lines[next].match(this.patterns.listItem);
+                        if (sibling && this.indentOf(sibling[1]) === baseIndent && /\d/.test(sibling[2]) === ordered) {
+                            loose = true;
+                            i = next;
+                        }
+                    }
+                    break;
+                }
+
+                if (this.indentOf(line) > baseIndent) {
+                    itemLines.push(this.dedent(line, contentIndent));
+                    i++;
+                    continue;
+                }
+
+                // Lazy paragraph continuation
+                if (!this.startsBlock(lines, i)) {
+                    itemLines.push(line.trim());
+                    i++;
+                    continue;
+                }
+
+                break;
+            }
+
+            items.push(itemLines);
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        const renderedItems = items.map(itemLines => {
+            const task = itemLines[0].match(this.patterns.task);
+            if (task) {
+                itemLines[0] = itemLines[0].slice(task[0].length);
+                const checked = task[1] !== ' ' ? ' checked' : '';
+                return `<li class="task-list-item"><input type="checkbox" disabled${checked}> ${this.renderBlocks(itemLines, !loose)}</li>`;
+            }
+            return `<li>${this.renderBlocks(itemLines, !loose)}</li>`;
+        });
+
+        const hasTasks = renderedItems.some(item => item.startsWith('<li class="task-list-item">'));
+        const classAttribute = hasTasks ? ' class="task-list"' : '';
+
+        return {
+            html: `<${tag}${startAttribute}${classAttribute}>${renderedItems.join('')}</${tag}>`,
+            end: i
+        };
+    }
+
+    /**
+     * Split a table row into cells
+     */
+    splitRow(row) {
+        let trimmed = row.trim();
+        if (trimmed.startsWith('|')) trimmed = trimmed.slice(1);
+        if (trimmed.endsWith('|') && !trimmed.endsWith('\\|')) trimmed = trimmed.slice(0, -1);
+
+        // Escaped pipes stay inside their cell
+        return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    /**
+     * Render a GFM table
+     */
+    renderTable(rows, delimiter) {
+        const alignments = this.splitRow(delimiter).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+
+        const renderRow = (row, tag) => {
+            const cells = this.splitRow(row);
+            return `<tr>${alignments.map((align, index) => {
+                const style = align ? ` style="text-align: ${align}"` : '';
+                return `<${tag}${style}>${this.renderInline(cells[index] || '')}</${tag}>`;
+            }).join('')}</tr>`;
+        };
+
+        const [header, ...body] = rows;
+        return `<div class="table-wrapper"><table><thead>${renderRow(header, 'th')}</thead>` +
+            `<tbody>${body.map(row => renderRow(row, 'td')).join('')}</tbody></table></div>`;
+    }
+
+    /**
+     * Render a fenced code block with highlighting, line numbers and copy/download buttons
+     */
+    renderCodeBlock(code, language) {
+        if (language.toLowerCase() === 'mermaid') {
+            return this.renderDiagramBlock(code);
+        }
+
+        const label = language ? this.escape(language) : 'text';
+        const languageClass = language ? ` class="language-${this.escape(language)}"` : '';
+        const highlighter = window.puterCodeHighlighter;
+        const body = highlighter ? highlighter.highlight(code, language) : this.escape(code);
+        const gutter = highlighter
+            ? `<span class="line-numbers" aria-hidden="true">${highlighter.renderLineNumbers(code)}</span>`
+            : '';
+
+        return `<div class="code-block" data-language="${this.escape(language || '')}">` +
+            `<div class="code-block-header"><span class="code-language">${label}</span>` +
+            '<span class="code-actions">' +
+            '<button class="code-action-btn" data-code-action="copy" title="Copy code">Copy</button>' +
+            '<button class="code-action-btn" data-code-action="download" title="Download as file">Download</button>' +
+            '</span></div>' +
+            `<pre>${gutter}<code${languageClass}>${body}</code></pre></div>`;
+    }
+
+    /**
+     * Render a Mermaid fence: its source now, the diagram once the reply finishes
+     */
+    renderDiagramBlock(code) {
+        return '<div class="diagram-block"><div class="code-block-header"><span class="code-language">mermaid</span>' +
+            '<span class="code-actions"><button class="code-action-btn" data-diagram-action="toggle" title="Toggle diagram source">Source</button></span></div>' +
+            '<div class="diagram-output"></div>' +
+            `<pre class="diagram-source"><code class="language-mermaid">${this.escape(code)}</code></pre></div>`;
+    }
+
+    /**
+     * Render TeX as a placeholder that shows the source until it is typeset
+     */
+    renderMath(tex, display, block = false) {
+        const tag = block ? 'div' : 'span';
+        return `<${tag} class="math ${display ? 'math-display' : 'math-inline'}">${this.escape(tex)}</${tag}>`;
+    }
+
+    /**
+     * Render inline Markdown: code spans, links, images, emphasis and strikethrough
+     */
+    renderInline(text) {
+        const tokens = [];
+        const stash = (html) => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+
+        // Code spans first so their contents are left alone
+        let output = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+            stash(`<code>${this.escape(code.trim())}</code>`));
+
+        // Math next. Inline `$` needs non-space just inside both delimiters, so prices like $5 and $10 stay text
+        output = output.replace(/\$\$([^$]+?)\$\$/g, (match, tex) => stash(this.renderMath(tex.trim(), true)));
+        output = output.replace(/\\\[([\s\S]+?)\\\]/g, (match, tex) => stash(this.renderMath(tex.trim(), true)));
+        output = output.replace(/\\\(([\s\S]+?)\\\)/g, (match, tex) => stash(this.renderMath(tex.trim(), false)));
+        output = output.replace(/(^|[^\\\w$])\$(?=\S)([^$\n]*?\S)\$(?![\w$])/g, (match, before, tex) =>
+            before + stash(this.renderMath(tex, false)));
+
+        // Images and links, keeping only safe URLs. Images become links so a reply can't load
+        // tracking pixels or send the chat out in an image URL without a click
+        output = output.replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, alt, url, title) => {
+            if (!this.safeUrl.test(url)) return match;
+            const titleAttribute = title ? ` title="${this.escape(title)}"` : '';
+            return stash(`<a class="image-link" href="${this.escape(url)}"${titleAttribute} target="_blank" rel="noopener noreferrer">🖼 ${this.escape(alt || 'Image')}</a>`);
+        });
+        output = output.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, label, url, title) => {
+            if (!this.safeUrl.test(url)) return match;
+            const titleAttribute = title ? ` title="${this.escape(title)}"` : '';
+            return stash(`<a href="${this.escape(url)}"${titleAttribute} target="_blank" rel="noopener noreferrer">${this.renderEmphasis(this.escape(label))}</a>`);
+        });
+        output = output.replace(/<(https?:\/\/[^\s>]+)>|\bhttps?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/g, (match, bracketed) => {
+            const url = bracketed || match;
+            return stash(`<a href="${this.escape(url)}" target="_blank" rel="noopener noreferrer">${this.escape(url)}</a>`);
+        });
+
+        output = this.renderEmphasis(this.escape(output));
+
+        // Restore stashed HTML (link labels may themselves hold stashed code spans)
+        while (/\u0000\d+\u0000/.test(output)) {
+            output = output.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+        }
+        return output;
+    }
+
+    /**
+     * Render bold, italic and strikethrough on escaped text
+     */
+    renderEmphasis(text) {
+        return text
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*([^\s*](?:[^*]*?[^\s*])?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_([^\s_](?:[^_]*?[^\s_])?)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    }
+}
+
+// Create global instance
+window.puterMarkdownRenderer = new PuterMarkdownRenderer();
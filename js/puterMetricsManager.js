@@ -0,0 +1,266 @@
+/**
+ * Puter Metrics Manager
+ * Measures time-to-first-token, latency, length and throughput for each reply,
+ * and summarizes them per grid round as a sortable table or CSV
+ */
+
+class PuterMetricsManager {
+    constructor() {
+        this.charsPerToken = 4; // Rough estimate when the API doesn't report usage
+        this.columns = [
+            { key: 'model', label: 'Model' },
+            { key: 'timeToFirstToken', label: 'First token' },
+            { key: 'latency', label: 'Total' },
+            { key: 'characters', label: 'Chars' },
+            { key: 'tokens', label: 'Tokens' },
+            { key: 'tokensPerSecond', label: 'Tokens/s' }
+        ];
+        this.sort = { key: 'latency', direction: 'asc' };
+    }
+
+    /**
+     * Initialize the round summary button
+     */
+    init() {
+        const metricsButton = document.getElementById('gridMetricsBtn');
+        if (metricsButton) {
+            metricsButton.addEventListener('click', () => this.openSummaryDialog());
+        }
+
+        console.log('✅ Metrics Manager initialized');
+    }
+
+    /**
+     * Start timing a request
+     */
+    startTracking() {
+        return { startedAt: performance.now(), firstTokenAt: null, metrics: null };
+    }
+
+    /**
+     * Note when the first streamed text arrived
+     */
+    markFirstToken(tracker) {
+        if (tracker && tracker.firstTokenAt === null) {
+            tracker.firstTokenAt = performance.now();
+        }
+    }
+
+    /**
+     * Stop timing and compute the reply's metrics
+     */
+    finish(tracker, content, response = null) {
+        if (!tracker) return null;
+
+        const latency = performance.now() - tracker.startedAt;
+        const timeToFirstToken = tracker.firstTokenAt === null ? null : tracker.firstTokenAt - tracker.startedAt;
+        const text = typeof content === 'string' ? content : String(content || '');
+
+        const usage = response && response.usage;
+        const reportedTokens = usage ? (usage.completion_tokens ?? usage.output_tokens) : undefined;
+        const tokensEstimated = typeof reportedTokens !== 'number';
+        const tokens = tokensEstimated ? Math.ceil(text.length / this.charsPerToken) : reportedTokens;
+
+        // Throughput counts generation time only, once the first token is known
+        const generationTime = timeToFirstToken === null ? latency : latency - timeToFirstToken;
+        const tokensPerSecond = generationTime > 0 ? tokens / (generationTime / 1000) : null;
+
+        tracker.metrics = {
+            timeToFirstToken: timeToFirstToken === null ? null : Math.round(timeToFirstToken),
+            latency: Math.round(latency),
+            characters: text.length,
+            tokens,
+            tokensEstimated,
+            tokensPerSecond: tokensPerSecond === null ? null : Math.round(tokensPerSecond * 10) / 10
+        };
+        return tracker.metrics;
+    }
+
+    /**
+     * Format milliseconds for display
+     */
+    formatDuration(ms) {
+        if (ms === null || ms === undefined) return '—';
+        return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    /**
+     * One-line description of a reply's metrics
+     */
+    describe(metrics) {
+        const parts = [];
+        if (metrics.timeToFirstToken !== null) {
+            parts.push(`⚡ ${this.formatDuration(metrics.timeToFirstToken)} first token`);
+        }
+        parts.push(`⏱ ${this.formatDuration(metrics.latency)}`);
+        parts.push(`${metrics.tokensEstimated ? '≈' : ''}${metrics.tokens} tokens`);
+        parts.push(`${metrics.characters} chars`);
+        if (metrics.tokensPerSecond !== null) {
+            parts.push(`${metrics.tokensPerSecond} tok/s`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Show metrics under a reply
+     */
+    attach(messageDiv, metrics) {
+        if (!messageDiv || !metrics) return;
+
+        let line = messageDiv.querySelector('.message-metrics');
+        if (!line) {
+            line = document.createElement('div');
+            line.className = 'message-metrics';
+            messageDiv.appendChild(line);
+        }
+        line.textContent = this.describe(metrics);
+        line.title = metrics.tokensEstimated ? 'Token count estimated from length' : 'Token count reported by the API';
+    }
+
+    /**
+     * Build table rows for a round's answers that have metrics, credited to the model that answered.
+     * Blind windows leave the model id out until the names are revealed.
+     */
+    getRoundRows(round) {
+        return round.responses
+            .filter(response => response.metrics)
+            .map(response => {
+                const hidden = window.puterBlindModeManager && puterBlindModeManager.isHidden(response.modelId);
+                return {
+                    modelId: hidden ? '' : response.answeredBy || response.modelId,
+                    model: this.getRowLabel(response),
+                    ...response.metrics
+                };
+            });
+    }
+
+    /**
+     * Label a row with its window, and the fallback model when one answered
+     */
+    getRowLabel(response) {
+        const label = puterUIManager.getWindowLabel(response.modelId);
+        if (!response.answeredBy) return label;
+
+        const hidden = window.puterBlindModeManager && puterBlindModeManager.isHidden(response.modelId);
+        return hidden
+            ? `${label} (fallback)`
+            : `${label} → ${puterUIManager.getModelDisplayName(response.answeredBy)} (fallback)`;
+    }
+
+    /**
+     * Sort rows by a column, keeping missing values last
+     */
+    sortRows(rows) {
+        const { key, direction } = this.sort;
+        const factor = direction === 'asc' ? 1 : -1;
+
+        return [...rows].sort((a, b) => {
+            const valueA = a[key];
+            const valueB = b[key];
+            if (valueA === null || valueA === undefined) return 1;
+            if (valueB === null || valueB === undefined) return -1;
+            if (typeof valueA === 'string') return valueA.localeCompare(valueB) * factor;
+            return (valueA - valueB) * factor;
+        });
+    }
+
+    /**
+     * Convert rows to CSV
+     */
+    toCSV(rows) {
+        const header = ['Model', 'Model ID', 'Time to first token (ms)', 'Total latency (ms)',
+            'Characters', 'Tokens', 'Tokens estimated', 'Tokens per second'];
+        const lines = rows.map(row => puterExportManager.toCsvLine([
+            row.model, row.modelId, row.timeToFirstToken, row.latency,
+            row.characters, row.tokens, row.tokensEstimated, row.tokensPerSecond
+        ]));
+
+        return [puterExportManager.toCsvLine(header), ...lines].join('\n');
+    }
+
+    /**
+     * Show the sortable metrics table for a round
+     */
+    openSummaryDialog() {
+        const rounds = puterChatManager.getRounds().filter(round => this.getRoundRows(round).length > 0);
+        if (rounds.length === 0) {
+            puterUIManager.showError('No answers with metrics yet');
+            return;
+        }
+
+        const roundOptions = rounds.map((round, index) => {
+            const label = `Round ${index + 1}: ${puterStorageManager.makeTitle(round.prompt)}`;
+            const selected = index === rounds.length - 1 ? ' selected' : '';
+            return `<option value="${puterSanitizer.escape(round.id)}"${selected}>${puterSanitizer.escape(label)}</option>`;
+        }).join('');
+
+        const content = `
+            <div class="metrics-dialog">
+                <div class="metrics-controls">
+                    <select id="metricsRoundSelect" class="export-select">${roundOptions}</select>
+                    <button class="export-btn" id="metricsCsvBtn">⬇️ CSV</button>
+                </div>
+                <div class="table-wrapper">
+                    <table class="metrics-table">
+                        <thead><tr>${this.columns.map(column =>
+                            `<th data-sort="${column.key}">${column.label}</th>`).join('')}</tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                <p class="metrics-note">≈ marks token counts estimated from reply length.</p>
+            </div>
+        `;
+
+        const modal = puterApp.showModal('Response Metrics', content);
+        const roundSelect = modal.querySelector('#metricsRoundSelect');
+        const getRound = () => rounds.find(round => round.id === roundSelect.value);
+        const render = () => this.renderTable(modal, this.getRoundRows(getRound()));
+
+        roundSelect.addEventListener('change', render);
+        modal.querySelectorAll('.metrics-table th').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.getAttribute('data-sort');
+                this.sort = {
+                    key,
+                    direction: this.sort.key === key && this.sort.direction === 'asc' ? 'desc' : 'asc'
+                };
+                render();
+            });
+        });
+        modal.querySelector('#metricsCsvBtn').addEventListener('click', () => {
+            const round = getRound();
+            const filename = `${puterExportManager.makeFilename({
+                title: `metrics ${round.prompt}`,
+                exportedAt: new Date().toISOString()
+            })}.csv`;
+            puterExportManager.download(this.toCSV(this.sortRows(this.getRoundRows(round))), filename, 'text/csv');
+        });
+
+        render();
+    }
+
+    /**
+     * Fill the metrics table body
+     */
+    renderTable(modal, rows) {
+        modal.querySelectorAll('.metrics-table th').forEach(header => {
+            const active = header.getAttribute('data-sort') === this.sort.key;
+            header.classList.toggle('sorted', active);
+            header.setAttribute('data-direction', active ? this.sort.direction : '');
+        });
+
+        modal.querySelector('.metrics-table tbody').innerHTML = this.sortRows(rows).map(row => `
+            <tr>
+                <td>${puterSanitizer.escape(row.model)}</td>
+                <td>${this.formatDuration(row.timeToFirstToken)}</td>
+                <td>${this.formatDuration(row.latency)}</td>
+                <td>${row.characters}</td>
+                <td>${row.tokensEstimated ? '≈' : ''}${row.tokens}</td>
+                <td>${row.tokensPerSecond === null ? '—' : row.tokensPerSecond}</td>
+            </tr>
+        `).join('');
+    }
+}
+
+// Create global instance
+window.puterMetricsManager = new PuterMetricsManager();
@@ -39,7 +39,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'gpt-4o'
                 },
-                description: 'Advanced text generation model'
+                description: 'Advanced text generation model',
+                fallbacks: ['gpt-4o-mini'] // Tried in order when this model fails
             },
 
             'claude': {
@@ -107,7 +108,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'gpt-4o'
                 },
-                description: 'The flagship OpenAI model, excellent for complex tasks requiring advanced reasoning and multimodal understanding.'
+                description: 'The flagship OpenAI model, excellent for complex tasks requiring advanced reasoning and multimodal understanding.',
+                fallbacks: ['gpt-4o-mini']
             },
             'o1': {
                 name: 'O1',
@@ -123,7 +125,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'o1'
                 },
-                description: 'General-purpose model, great for everyday text-based conversations.'
+                description: 'General-purpose model, great for everyday text-based conversations.',
+                fallbacks: ['o3-mini']
             },
             'o1-mini': {
                 name: 'O1 Mini',
@@ -156,7 +159,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'o1-pro'
                 },
-                description: 'Enhanced O1 model with expanded capabilities, including vision and image understanding.'
+                description: 'Enhanced O1 model with expanded capabilities, including vision and image understanding.',
+                fallbacks: ['o1', 'o3-mini']
             },
             'o3': {
                 name: 'O3',
@@ -172,7 +176,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'o3'
                 },
-                description: 'A versatile model for a broad range of applications, supporting text and visual inputs.'
+                description: 'A versatile model for a broad range of applications, supporting text and visual inputs.',
+                fallbacks: ['o4-mini']
             },
             'o3-mini': {
                 name: 'O3 Mini',
@@ -222,7 +227,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'gpt-5'
                 },
-                description: 'Next-generation model from OpenAI, offering unparalleled capabilities in text and multimodal tasks.'
+                description: 'Next-generation model from OpenAI, offering unparalleled capabilities in text and multimodal tasks.',
+                fallbacks: ['gpt-5-mini']
             },
             'gpt-5-mini': {
                 name: 'GPT-5 Mini',
@@ -239,7 +245,8 @@ class PuterModelCapabilities {
                     model: 'gpt-5-mini',
                     max_tokens: 1500
                 },
-                description: 'A compact yet powerful GPT-5 variant, designed for efficiency across multimodal applications.'
+                description: 'A compact yet powerful GPT-5 variant, designed for efficiency across multimodal applications.',
+                fallbacks: ['gpt-5-nano']
             },
             'gpt-5-nano': {
                 name: 'GPT-5 Nano',
@@ -288,7 +295,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'gpt-4.1'
                 },
-                description: 'An updated GPT-4 model with enhanced capabilities and performance improvements.'
+                description: 'An updated GPT-4 model with enhanced capabilities and performance improvements.',
+                fallbacks: ['gpt-4.1-mini']
             },
             'gpt-4.1-mini': {
                 name: 'GPT-4.1 Mini',
@@ -338,7 +346,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'gpt-4.5-preview'
                 },
-                description: 'A preview of the upcoming GPT-4.5, showcasing new features and improved performance.'
+                description: 'A preview of the upcoming GPT-4.5, showcasing new features and improved performance.',
+                fallbacks: ['gpt-4.1']
             },
             'claude-sonnet-4': {
                 name: 'Claude Sonnet 4',
@@ -354,7 +363,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'claude-sonnet-4'
                 },
-                description: 'Anthropic\'s Sonnet 4, a balanced model for general tasks with strong multimodal capabilities.'
+                description: 'Anthropic\'s Sonnet 4, a balanced model for general tasks with strong multimodal capabilities.',
+                fallbacks: ['claude-3-7-sonnet']
             },
             'claude-opus-4': {
                 name: 'Claude Opus 4',
@@ -370,7 +380,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'claude-opus-4'
                 },
-                description: 'Anthropic\'s most powerful Opus 4 model, excelling in complex reasoning and advanced multimodal tasks.'
+                description: 'Anthropic\'s most powerful Opus 4 model, excelling in complex reasoning and advanced multimodal tasks.',
+                fallbacks: ['claude-sonnet-4']
             },
             'claude-3-7-sonnet': {
                 name: 'Claude 3.7 Sonnet',
@@ -386,7 +397,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'claude-3-7-sonnet'
                 },
-                description: 'An advanced Sonnet model from Anthropic, offering robust performance for various applications.'
+                description: 'An advanced Sonnet model from Anthropic, offering robust performance for various applications.',
+                fallbacks: ['claude-3-5-sonnet']
             },
             'claude-3-5-sonnet': {
                 name: 'Claude 3.5 Sonnet',
@@ -434,7 +446,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'deepseek-reasoner'
                 },
-                description: 'DeepSeek model focused on complex reasoning and logical problem-solving.'
+                description: 'DeepSeek model focused on complex reasoning and logical problem-solving.',
+                fallbacks: ['deepseek-chat']
             },
             'gemini-2.0-flash': {
                 name: 'Gemini 2.0 Flash',
@@ -450,7 +463,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'gemini-2.0-flash'
                 },
-                description: 'Google\'s high-speed multimodal Gemini 2.0 Flash model, optimized for rapid interactions.'
+                description: 'Google\'s high-speed multimodal Gemini 2.0 Flash model, optimized for rapid interactions.',
+                fallbacks: ['gemini-1.5-flash']
             },
             'gemini-1.5-flash': {
                 name: 'Gemini 1.5 Flash',
@@ -514,7 +528,8 @@ class PuterModelCapabilities {
                 parameters: {
                     model: 'meta-llama/Meta-Llama-3.1-405B-Instruct-Turbo'
                 },
-                description: 'Meta\'s largest and most capable Llama 3.1 instruct model, for highly complex tasks.'
+                description: 'Meta\'s largest and most capable Llama 3.1 instruct model, for highly complex tasks.',
+                fallbacks: ['meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo']
             },
             'mistral-large-latest': {
                 name: 'Mistral Large Latest',
@@ -613,6 +628,27 @@ class PuterModelCapabilities {
         return this.models;
     }
 
+    /**
+     * Get the chat models to fall back to when a model fails
+     */
+    getFallbacks(modelId) {
+        const model = this.getModel(modelId);
+        if (!model || !Array.isArray(model.fallbacks)) return [];
+
+        return model.fallbacks.filter(fallbackId => {
+            const fallback = this.getModel(fallbackId);
+            return fallback && fallback.type === 'chat' && fallback.supports.text;
+        });
+    }
+
+    /**
+     * Check whether a model can read images
+     */
+    supportsVision(modelId) {
+        const model = this.getModel(modelId);
+        return !!(model && model.supports && model.supports.vision);
+    }
+
 
 }
 
@@ -0,0 +1,188 @@
+/**
+ * Puter OCR Manager
+ * Extracts text from uploaded images with puter.ai.img2txt
+ */
+
+class PuterOcrManager {
+    constructor() {
+        this.currentImageId = null;
+        this.requestId = 0;
+        this.elements = {
+            panel: null,
+            title: null,
+            text: null,
+            insertButton: null,
+            sendGridButton: null,
+            closeButton: null
+        };
+    }
+
+    /**
+     * Initialize the OCR panel
+     */
+    init() {
+        this.elements.panel = document.getElementById('ocrPanel');
+        this.elements.title = document.getElementById('ocrPanelTitle');
+        this.elements.text = document.getElementById('ocrText');
+        this.elements.insertButton = document.getElementById('ocrInsertBtn');
+        this.elements.sendGridButton = document.getElementById('ocrSendGridBtn');
+        this.elements.closeButton = document.getElementById('ocrCloseBtn');
+
+        if (!this.elements.panel) return;
+
+        this.elements.insertButton.addEventListener('click', () => this.insertIntoMessage());
+        this.elements.sendGridButton.addEventListener('click', () => this.sendToGrid());
+        this.elements.closeButton.addEventListener('click', () => this.close());
+
+        console.log('✅ OCR Manager initialized');
+    }
+
+    /**
+     * Build the OCR button for an image preview
+     */
+    createOcrButton(imageId) {
+        const button = document.createElement('button');
+        button.className = 'image-ocr-btn';
+        button.title = 'Extract text';
+        button.textContent = 'OCR';
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.extract(imageId);
+        });
+        return button;
+    }
+
+    /**
+     * Extract the text from an uploaded image and show it for editing
+     */
+    async extract(imageId) {
+        const image = puterUIManager.uploadedImages.find(entry => entry.id === imageId);
+        if (!image) return;
+
+        const requestId = ++this.requestId;
+        this.currentImageId = imageId;
+        this.open(image.name);
+
+        // Keep earlier results so reopening an image doesn't cost another call
+        if (typeof image.ocrText === 'string') {
+            // An earlier extraction may still hold the panel in its loading state
+            this.setLoading(false);
+            this.showText(image.ocrText);
+            return;
+        }
+
+        this.setLoading(true);
+
+        try {
+            const text = await puter.ai.img2txt(image.file || image.url);
+            image.ocrText = typeof text === 'string' ? text.trim() : String(text || '').trim();
+
+            if (requestId !== this.requestId) return;
+            this.showText(image.ocrText);
+
+            if (!image.ocrText) {
+                puterUIManager.showNotification('No text found in this image');
+            }
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('❌ Text extraction failed:', error);
+            this.close();
+            puterUIManager.showError(`Text extraction failed: ${error.message || error}`);
+        } finally {
+            if (requestId === this.requestId) {
+                this.setLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Get the (possibly edited) extracted text
+     */
+    getText() {
+        return this.elements.text ? this.elements.text.value.trim() : '';
+    }
+
+    /**
+     * Append the extracted text to the message input
+     */
+    insertIntoMessage() {
+        const text = this.getText();
+        if (!text) {
+            puterUIManager.showError('There is no text to insert');
+            return;
+        }
+
+        const input = puterUIManager.elements.messageInput;
+        input.value = input.value.trim() ? `${input.value.trim()}\n\n${text}` : text;
+        puterUIManager.autoResizeTextarea();
+        puterUIManager.updateSendButtonState();
+        input.focus();
+        this.close();
+    }
+
+    /**
+     * Send the extracted text to every grid model
+     */
+    async sendToGrid() {
+        const text = this.getText();
+        if (!text) {
+            puterUIManager.showError('There is no text to send');
+            return;
+        }
+        if (puterUIManager.isProcessing) {
+            puterUIManager.showError('Wait for the current replies to finish');
+            return;
+        }
+
+        this.close();
+        puterUIManager.activateSidebarItem('all');
+        await puterUIManager.handleSend({ message: text });
+    }
+
+    /**
+     * Show the panel for an image
+     */
+    open(fileName) {
+        if (!this.elements.panel) return;
+
+        this.elements.title.textContent = `Text from ${fileName}`;
+        this.elements.text.value = '';
+        this.elements.panel.style.display = 'flex';
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        this.requestId++;
+        this.currentImageId = null;
+        this.setLoading(false);
+        if (this.elements.panel) {
+            this.elements.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Put text into the editable block
+     */
+    showText(text) {
+        this.elements.text.value = text;
+        this.elements.text.focus();
+    }
+
+    /**
+     * Toggle the extracting state
+     */
+    setLoading(loading) {
+        if (!this.elements.panel) return;
+
+        this.elements.panel.classList.toggle('loading', loading);
+        this.elements.text.disabled = loading;
+        this.elements.text.placeholder = loading ? 'Extracting text...' : 'No text found';
+        this.elements.insertButton.disabled = loading;
+        this.elements.sendGridButton.disabled = loading;
+    }
+}
+
+// Create global instance
+window.puterOcrManager = new PuterOcrManager();
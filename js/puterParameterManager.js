@@ -0,0 +1,118 @@
+/**
+ * Puter Parameter Manager
+ * Resolves the effective request parameters for each model
+ */
+
+class PuterParameterManager {
+    constructor() {
+        this.modelOverrides = new Map(); // Per-model parameter overrides
+        this.overrideKeys = ['top_p', 'stop', 'presence_penalty', 'frequency_penalty', 'seed'];
+    }
+
+    /**
+     * Get the global slider values from the settings panel
+     */
+    getGlobalParameters() {
+        if (window.puterUIManager && typeof puterUIManager.getCurrentModelParameters === 'function') {
+            return puterUIManager.getCurrentModelParameters();
+        }
+        return {};
+    }
+
+    /**
+     * Get the overrides stored for a model
+     */
+    getOverrides(modelId) {
+        return this.modelOverrides.get(modelId) || {};
+    }
+
+    /**
+     * Store overrides for a model, dropping empty or invalid values
+     */
+    setOverrides(modelId, overrides = {}) {
+        const cleaned = {};
+
+        for (const key of this.overrideKeys) {
+            const value = overrides[key];
+            if (value === undefined || value === null || value === '') continue;
+
+            if (key === 'stop') {
+                const sequences = (Array.isArray(value) ? value : String(value).split(','))
+                    .map(sequence => sequence.trim())
+                    .filter(sequence => sequence.length > 0);
+                if (sequences.length > 0) {
+                    cleaned.stop = sequences;
+                }
+            } else if (key === 'seed') {
+                const seed = parseInt(value, 10);
+                if (!isNaN(seed)) {
+                    cleaned.seed = seed;
+                }
+            } else {
+                const number = parseFloat(value);
+                if (!isNaN(number)) {
+                    cleaned[key] = number;
+                }
+            }
+        }
+
+        if (Object.keys(cleaned).length > 0) {
+            this.modelOverrides.set(modelId, cleaned);
+        } else {
+            this.modelOverrides.delete(modelId);
+        }
+
+        return cleaned;
+    }
+
+    /**
+     * Remove all overrides for a model
+     */
+    clearOverrides(modelId) {
+        this.modelOverrides.delete(modelId);
+    }
+
+    /**
+     * Resolve parameters: registry defaults, then global sliders, then per-model overrides
+     */
+    resolve(modelId) {
+        const model = puterModelCapabilities.getModel(modelId);
+        const defaults = model ? model.parameters : {};
+
+        return {
+            ...defaults,
+            ...this.getGlobalParameters(),
+            ...this.getOverrides(modelId),
+            // The registry decides which backend model answers, never the sliders
+            model: defaults.model
+        };
+    }
+
+    /**
+     * Short summary of the effective values for window headers
+     */
+    describe(parameters) {
+        const parts = [];
+        if (parameters.temperature !== undefined) parts.push(`T ${parameters.temperature}`);
+        if (parameters.max_tokens !== undefined) parts.push(`${parameters.max_tokens} tok`);
+        if (parameters.top_p !== undefined) parts.push(`p ${parameters.top_p}`);
+        if (parameters.presence_penalty !== undefined) parts.push(`pp ${parameters.presence_penalty}`);
+        if (parameters.frequency_penalty !== undefined) parts.push(`fp ${parameters.frequency_penalty}`);
+        if (parameters.seed !== undefined) parts.push(`seed ${parameters.seed}`);
+        if (parameters.stop) parts.push(`stop ×${parameters.stop.length}`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Full listing of the effective values for tooltips
+     */
+    describeFull(parameters) {
+        return Object.entries(parameters)
+            .filter(([key]) => key !== 'model')
+            .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+            .join('\n');
+    }
+}
+
+// Create global instance
+window.puterParameterManager = new PuterParameterManager();
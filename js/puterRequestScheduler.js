@@ -0,0 +1,207 @@
+/**
+ * Puter Request Scheduler
+ * Classifies API errors and retries the retryable ones with jittered exponential backoff,
+ * counting down in the affected grid window
+ */
+
+class PuterRequestScheduler {
+    constructor() {
+        this.retryPolicy = {
+            maxRetries: 3,
+            baseDelay: 1000, // First wait; doubled on every retry
+            maxDelay: 30000
+        };
+        this.errorKinds = {
+            'rate-limit': { label: 'Rate limited', retryable: true },
+            auth: { label: 'Authentication failed', retryable: false },
+            network: { label: 'Connection problem', retryable: true },
+            unavailable: { label: 'Model unavailable', retryable: false },
+            unknown: { label: 'Request failed', retryable: false }
+        };
+        this.waits = new Map(); // modelId -> { resolve, element } for windows counting down to a retry
+    }
+
+    /**
+     * Bind the retry buttons
+     */
+    init() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-retry-now]');
+            if (!button) return;
+
+            e.preventDefault();
+            const modelId = button.getAttribute('data-retry-now');
+            if (this.waits.has(modelId)) {
+                this.retryNow(modelId);
+            } else {
+                button.remove();
+                puterChatManager.retryFailedRequest(modelId);
+            }
+        });
+
+        console.log('✅ Request Scheduler initialized');
+    }
+
+    /**
+     * Read the message and HTTP status out of the many shapes API errors come in
+     */
+    getErrorDetails(error) {
+        const nested = error && typeof error.error === 'object' ? error.error : null;
+        const message = (error && (error.message || nested?.message || error.code || nested?.code)) ||
+            (typeof error === 'string' ? error : 'Unknown error');
+        const status = Number(error?.status || error?.statusCode || error?.response?.status || nested?.status) || null;
+        return { message: String(message), status };
+    }
+
+    /**
+     * Sort an error into rate-limit, auth, network, unavailable or unknown
+     */
+    classifyError(error) {
+        const { message, status } = this.getErrorDetails(error);
+        const text = `${message} ${error?.code || ''} ${error?.error?.code || ''}`;
+
+        let kind = 'unknown';
+        if (status === 429 || /rate.?limit|too many requests|quota|throttl/i.test(text)) {
+            kind = 'rate-limit';
+        } else if (status === 401 || status === 403 || /auth|unauthori[sz]ed|forbidden|permission denied|not signed in/i.test(text)) {
+            kind = 'auth';
+        } else if (status === 404 || /model.{0,40}(not found|unavailable|not available|not supported|does not exist)|no such model|unknown model/i.test(text)) {
+            kind = 'unavailable';
+        } else if ((status && status >= 500) || /network|failed to fetch|fetch failed|timed? ?out|econn|socket|offline|connection|overloaded|bad gateway/i.test(text)) {
+            kind = 'network';
+        }
+
+        return {
+            kind,
+            ...this.errorKinds[kind],
+            message,
+            retryAfter: kind === 'rate-limit' ? this.getRetryAfter(error, message) : null
+        };
+    }
+
+    /**
+     * Milliseconds the API asked us to wait, if it said
+     */
+    getRetryAfter(error, message) {
+        const header = error?.retryAfter ?? error?.response?.headers?.get?.('retry-after');
+        if (header !== undefined && header !== null && !isNaN(parseFloat(header))) {
+            return parseFloat(header) * 1000;
+        }
+
+        const match = message.match(/(?:retry|try again)\s+(?:after|in)\s+(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|sec|seconds?)?/i);
+        if (!match) return null;
+        return /^m/i.test(match[2] || '') ? parseFloat(match[1]) : parseFloat(match[1]) * 1000;
+    }
+
+    /**
+     * User-facing description of an error. Pass the window's model to keep a blind window's
+     * unclassified messages, which can name the model, to the generic label.
+     */
+    describeError(error, modelId = null) {
+        const { kind, label, message } = this.classifyError(error);
+        switch (kind) {
+            case 'rate-limit':
+                return 'You\'ve reached the rate limit. Please wait a moment before trying again.';
+            case 'auth':
+                return 'Authentication failed. Please refresh the page and try again.';
+            case 'network':
+                return 'Network connection issue. Please check your internet connection.';
+            case 'unavailable':
+                return 'The selected model is currently unavailable. Try switching to another model.';
+            default:
+                return modelId && window.puterBlindModeManager && puterBlindModeManager.isHidden(modelId) ? label : message;
+        }
+    }
+
+    /**
+     * Backoff before a retry: exponential, capped, with half of it random so windows don't retry in lockstep
+     */
+    getDelay(attempt, retryAfter = null) {
+        const { baseDelay, maxDelay } = this.retryPolicy;
+        const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+        const jittered = exponential / 2 + Math.random() * exponential / 2;
+        return Math.round(Math.max(jittered, Math.min(retryAfter || 0, maxDelay)));
+    }
+
+    /**
+     * Run a request for a grid window, retrying retryable failures.
+     * Errors that can't be retried, and the last failure, are rethrown.
+     */
+    async run(modelId, request, signal = null) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await request();
+            } catch (error) {
+                if (puterChatManager.isAbortError(error)) throw error;
+
+                const info = this.classifyError(error);
+                if (!info.retryable || attempt >= this.retryPolicy.maxRetries) throw error;
+
+                console.warn(`⚠️ ${modelId}: ${info.label.toLowerCase()}, retry ${attempt + 1} of ${this.retryPolicy.maxRetries}:`, error);
+                await this.wait(modelId, this.getDelay(attempt, info.retryAfter), info, attempt + 1, signal);
+            }
+        }
+    }
+
+    /**
+     * Count down in the window until the retry, or until "Retry now" or a stop
+     */
+    wait(modelId, delay, info, retry, signal = null) {
+        return new Promise((resolve, reject) => {
+            const until = Date.now() + delay;
+            puterUIManager.removeTypingIndicator(modelId);
+            const element = puterUIManager.showRetryCountdown(modelId);
+
+            // The raw message can name the model, which blind windows keep to themselves
+            const hidden = window.puterBlindModeManager && puterBlindModeManager.isHidden(modelId);
+            const update = () => {
+                const seconds = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+                puterUIManager.updateRetryCountdown(element,
+                    `⏳ ${info.label}, retrying in ${seconds}s (${retry} of ${this.retryPolicy.maxRetries})`,
+                    hidden ? info.label : info.message);
+            };
+
+            const finish = (error = null) => {
+                clearTimeout(timer);
+                clearInterval(interval);
+                signal?.removeEventListener('abort', onAbort);
+                this.waits.delete(modelId);
+                if (element) element.remove();
+
+                if (error) {
+                    reject(error);
+                } else {
+                    puterUIManager.showTypingIndicator(modelId);
+                    resolve();
+                }
+            };
+            const onAbort = () => finish(puterChatManager.createAbortError());
+
+            const timer = setTimeout(() => finish(), delay);
+            const interval = setInterval(update, 1000);
+            update();
+
+            this.waits.set(modelId, { resolve: () => finish(), element });
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Skip the rest of a window's countdown
+     */
+    retryNow(modelId) {
+        const pending = this.waits.get(modelId);
+        if (pending) {
+            pending.resolve();
+        }
+    }
+}
+
+// Create global instance
+window.puterRequestScheduler = new PuterRequestScheduler();
@@ -0,0 +1,179 @@
+/**
+ * Puter Rich Content Renderer
+ * Typesets LaTeX math with KaTeX and draws Mermaid diagrams in finished replies.
+ * Both libraries load from the CDN the first time a reply needs them, pinned by SRI hashes.
+ */
+
+class PuterRichContentRenderer {
+    constructor() {
+        // Update the integrity hash together with the version
+        this.libraries = {
+            katexScript: {
+                url: 'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.js',
+                integrity: 'sha384-7zkQWkzuo3B5mTepMUcHkMB5jZaolc2xDwL6VFqjFALcbeS9Ggm/Yr2r3Dy4lfFg'
+            },
+            katexStyles: {
+                url: 'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.css',
+                integrity: 'sha384-nB0miv6/jRmo5UMMR1wu3Gz6NLsoTkbqJghGIsx//Rlm+ZU03BU6SQNC66uf4l5+'
+            },
+            mermaidScript: {
+                url: 'https://cdn.jsdelivr.net/npm/mermaid@10.9.1/dist/mermaid.min.js',
+                integrity: 'sha384-WmdflGW9aGfoBdHc4rRyWzYuAjEmDwMdGdiPNacbwfGKxBW/SO6guzuQ76qjnSlr'
+            }
+        };
+        this.loaders = new Map(); // url -> load promise
+        this.diagramCount = 0;
+    }
+
+    /**
+     * Handle the diagram source toggles
+     */
+    init() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-diagram-action="toggle"]');
+            if (!button) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            const block = button.closest('.diagram-block');
+            if (!block) return;
+
+            const showSource = block.classList.toggle('show-source');
+            button.textContent = showSource ? 'Diagram' : 'Source';
+        });
+
+        console.log('✅ Rich Content Renderer initialized');
+    }
+
+    /**
+     * Load a script or stylesheet once, refusing it if it doesn't match its integrity hash
+     */
+    load({ url, integrity }, type = 'script') {
+        if (!this.loaders.has(url)) {
+            const promise = new Promise((resolve, reject) => {
+                const element = document.createElement(type === 'script' ? 'script' : 'link');
+                if (type === 'script') {
+                    element.src = url;
+                } else {
+                    element.rel = 'stylesheet';
+                    element.href = url;
+                }
+                element.integrity = integrity;
+                element.crossOrigin = 'anonymous';
+                element.onload = resolve;
+                element.onerror = () => reject(new Error(`Failed to load ${url}`));
+                document.head.appendChild(element);
+            });
+
+            // Let a later reply retry after a network failure
+            promise.catch(() => this.loaders.delete(url));
+            this.loaders.set(url, promise);
+        }
+
+        return this.loaders.get(url);
+    }
+
+    /**
+     * Load KaTeX and its styles
+     */
+    async loadKatex() {
+        await Promise.all([
+            this.load(this.libraries.katexStyles, 'stylesheet'),
+            this.load(this.libraries.katexScript)
+        ]);
+        return window.katex;
+    }
+
+    /**
+     * Load and configure Mermaid
+     */
+    async loadMermaid() {
+        const firstLoad = !window.mermaid;
+        await this.load(this.libraries.mermaidScript);
+
+        if (firstLoad) {
+            // Strict mode keeps diagram labels from carrying HTML or click handlers
+            window.mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'default' });
+        }
+        return window.mermaid;
+    }
+
+    /**
+     * Render the math and diagrams inside a finished message
+     */
+    async render(element) {
+        if (!element) return;
+
+        const mathElements = Array.from(element.querySelectorAll('.math:not(.math-rendered)'));
+        const diagramBlocks = Array.from(element.querySelectorAll('.diagram-block:not(.diagram-rendered)'));
+
+        await Promise.all([
+            mathElements.length > 0 ? this.renderMath(mathElements) : null,
+            diagramBlocks.length > 0 ? this.renderDiagrams(diagramBlocks) : null
+        ]);
+    }
+
+    /**
+     * Typeset math elements, leaving the TeX source in place if KaTeX is unavailable
+     */
+    async renderMath(mathElements) {
+        let katex;
+        try {
+            katex = await this.loadKatex();
+        } catch (error) {
+            console.warn('⚠️ KaTeX could not be loaded, showing TeX source:', error);
+            return;
+        }
+
+        mathElements.forEach(mathElement => {
+            // The element may have been replaced by a re-render while KaTeX loaded
+            if (!mathElement.isConnected) return;
+
+            try {
+                katex.render(mathElement.textContent, mathElement, {
+                    displayMode: mathElement.classList.contains('math-display'),
+                    throwOnError: false
+                });
+                mathElement.classList.add('math-rendered');
+            } catch (error) {
+                console.warn('⚠️ Could not typeset math:', error);
+            }
+        });
+    }
+
+    /**
+     * Draw Mermaid diagrams, falling back to their source on errors
+     */
+    async renderDiagrams(diagramBlocks) {
+        let mermaid;
+        try {
+            mermaid = await this.loadMermaid();
+        } catch (error) {
+            console.warn('⚠️ Mermaid could not be loaded, showing diagram source:', error);
+            return;
+        }
+
+        for (const block of diagramBlocks) {
+            if (!block.isConnected) continue;
+
+            const source = block.querySelector('.diagram-source code');
+            const output = block.querySelector('.diagram-output');
+            if (!source || !output) continue;
+
+            try {
+                const { svg } = await mermaid.render(`mermaid-diagram-${++this.diagramCount}`, source.textContent);
+                // Strict mode is Mermaid's own guard; the allowlist applies to its output like any other HTML
+                output.innerHTML = puterSanitizer.sanitizeSvg(svg);
+                block.classList.add('diagram-rendered');
+            } catch (error) {
+                console.warn('⚠️ Could not render diagram:', error);
+                output.textContent = `Could not render diagram: ${error.message || error}`;
+                block.classList.add('diagram-error');
+            }
+        }
+    }
+}
+
+// Create global instance
+window.puterRichContentRenderer = new PuterRichContentRenderer();
@@ -0,0 +1,289 @@
+/**
+ * Puter Sanitizer
+ * Allowlist-based HTML sanitizer for everything rendered from model or user text
+ */
+
+class PuterSanitizer {
+    constructor() {
+        this.allowedTags = new Set([
+            'a', 'b', 'blockquote', 'br', 'button', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3',
+            'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'li', 'ol', 'p', 'pre', 's', 'span',
+            'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'
+        ]);
+        // Removed along with everything inside them
+        this.droppedTags = new Set([
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+            'link', 'meta', 'base', 'form', 'textarea', 'select', 'svg', 'math', 'template', 'noscript'
+        ]);
+        this.globalAttributes = new Set(['class', 'title', 'aria-hidden']);
+        this.tagAttributes = {
+            a: new Set(['href', 'target', 'rel']),
+            img: new Set(['src', 'alt', 'width', 'height']),
+            input: new Set(['type', 'checked', 'disabled']),
+            div: new Set(['data-language']),
+            button: new Set(['data-code-action', 'data-diagram-action']),
+            th: new Set(['style']),
+            td: new Set(['style'])
+        };
+        this.urlAttributes = new Set(['href', 'src']);
+        // Diagram SVGs; anything else, including scripts, animation and external references, is removed
+        this.svgTags = new Set([
+            'svg', 'g', 'defs', 'marker', 'symbol', 'use', 'path', 'rect', 'circle', 'ellipse', 'line',
+            'polyline', 'polygon', 'text', 'tspan', 'title', 'desc', 'style', 'foreignobject',
+            'lineargradient', 'radialgradient', 'stop', 'clippath', 'pattern'
+        ]);
+        this.svgAttributes = new Set([
+            'id', 'class', 'style', 'd', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry',
+            'dx', 'dy', 'width', 'height', 'viewbox', 'points', 'transform', 'fill', 'fill-opacity',
+            'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-dashoffset',
+            'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'opacity', 'visibility', 'display',
+            'text-anchor', 'dominant-baseline', 'alignment-baseline', 'font-family', 'font-size',
+            'font-weight', 'font-style', 'letter-spacing', 'text-decoration', 'marker-start', 'marker-mid',
+            'marker-end', 'markerwidth', 'markerheight', 'markerunits', 'refx', 'refy', 'orient',
+            'preserveaspectratio', 'xmlns', 'xmlns:xlink', 'version', 'role', 'clip-path', 'offset',
+            'stop-color', 'stop-opacity', 'gradientunits', 'gradienttransform', 'patternunits',
+            'href', 'xlink:href'
+        ]);
+    }
+
+    /**
+     * Escape text for use inside HTML content or attributes
+     */
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Check that a URL can't run script: http(s), mailto, anchors, relative paths and image data URLs
+     */
+    isSafeUrl(url, attribute = 'href') {
+        const value = String(url || '').trim().replace(/[\u0000-\u001F\u007F\s]+/g, '');
+        if (!value) return false;
+
+        if (attribute === 'src' && /^data:image\/(?:png|jpe?g|gif|webp|bmp);/i.test(value)) {
+            return true;
+        }
+        if (attribute === 'src' && /^blob:/i.test(value)) {
+            return true;
+        }
+
+        const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) return true;
+        return ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * Check whether a URL points at another host
+     */
+    isRemoteUrl(url) {
+        const value = String(url || '').replace(/[\u0000-\u001F\u007F\s]+/g, '');
+        return /^(?:https?:|[\\/]{2})/i.test(value);
+    }
+
+    /**
+     * Replace an image with a link to it
+     */
+    createImageLink(image) {
+        const src = image.getAttribute('src');
+        const link = document.createElement('a');
+        link.className = 'image-link';
+        link.textContent = `🖼 ${image.getAttribute('alt') || 'Image'}`;
+        if (this.isSafeUrl(src, 'href')) {
+            link.setAttribute('href', src);
+            link.setAttribute('target', '_blank');
+            link.setAttribute('rel', 'noopener noreferrer');
+        }
+        return link;
+    }
+
+    /**
+     * Sanitize an HTML string, keeping only allowlisted tags and attributes
+     */
+    sanitize(html) {
+        if (!html) return '';
+
+        const template = document.createElement('template');
+        template.innerHTML = String(html);
+        this.sanitizeNode(template.content);
+        return template.innerHTML;
+    }
+
+    /**
+     * Sanitize an SVG string, such as a rendered diagram, with the SVG allowlist
+     */
+    sanitizeSvg(svg) {
+        if (!svg) return '';
+
+        const template = document.createElement('template');
+        template.innerHTML = String(svg);
+        Array.from(template.content.childNodes).forEach(child => {
+            if (child.nodeType !== Node.ELEMENT_NODE || child.localName !== 'svg') {
+                child.remove();
+            }
+        });
+        const root = template.content.querySelector('svg');
+        this.sanitizeSvgNode(template.content, root ? root.getAttribute('id') : null);
+        return template.innerHTML;
+    }
+
+    /**
+     * Keep only the style rules scoped to the diagram's id, so a diagram can't restyle the page.
+     * Returns null when nothing is left.
+     */
+    scopeSvgStyle(css, scopeId) {
+        if (!scopeId || typeof CSSStyleSheet === 'undefined') return null;
+
+        const sheet = new CSSStyleSheet();
+        try {
+            sheet.replaceSync(css);
+        } catch (error) {
+            return null;
+        }
+
+        // The diagram itself or something inside it; sibling combinators and nested rules could reach out
+        const scope = `#${CSS.escape(scopeId)}`;
+        const isScoped = selector => selector.startsWith(scope) &&
+            /^(?:$|[\s.:>[])/.test(selector.slice(scope.length)) && !/[+~]/.test(selector);
+        const rules = Array.from(sheet.cssRules)
+            .filter(rule => rule instanceof CSSStyleRule && !(rule.cssRules && rule.cssRules.length > 0) &&
+                rule.selectorText.split(',').every(selector => isScoped(selector.trim())))
+            .map(rule => rule.cssText);
+
+        return rules.length > 0 ? rules.join('\n') : null;
+    }
+
+    /**
+     * Clean the children of an SVG node in place
+     */
+    sanitizeSvgNode(node, scopeId = null) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) return;
+
+            const tag = child.nodeType === Node.ELEMENT_NODE ? child.localName.toLowerCase() : null;
+            if (!tag || !this.svgTags.has(tag)) {
+                child.remove();
+                return;
+            }
+
+            if (tag === 'style') {
+                // Diagram styles may not fetch anything; escapes could hide a url()
+                const css = child.textContent;
+                const scoped = this.hasUnsafeSvgValue(css) || /@import|\\/i.test(css)
+                    ? null
+                    : this.scopeSvgStyle(css, scopeId);
+                if (!scoped) {
+                    child.remove();
+                    return;
+                }
+                child.textContent = scoped;
+            } else if (tag === 'foreignobject') {
+                // Node labels are HTML
+                this.sanitizeNode(child);
+            } else {
+                this.sanitizeSvgNode(child, scopeId);
+            }
+
+            this.sanitizeSvgAttributes(child);
+        });
+    }
+
+    /**
+     * Strip SVG attributes that aren't allowlisted or point outside the diagram
+     */
+    sanitizeSvgAttributes(element) {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            const attribute = name.toLowerCase();
+            const keep = (this.svgAttributes.has(attribute) || attribute.startsWith('aria-')) &&
+                ((attribute !== 'href' && attribute !== 'xlink:href') || value.trim().startsWith('#')) &&
+                !this.hasUnsafeSvgValue(value) &&
+                (attribute !== 'style' || !value.includes('\\'));
+
+            if (!keep) {
+                element.removeAttribute(name);
+            }
+        });
+    }
+
+    /**
+     * Check for script URLs and url() references to anything but the diagram's own elements
+     */
+    hasUnsafeSvgValue(value) {
+        return /javascript:|expression\s*\(|url\s*\((?!\s*['"]?\s*#)/i.test(String(value || ''));
+    }
+
+    /**
+     * Clean the children of a node in place
+     */
+    sanitizeNode(node) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) return;
+
+            if (child.nodeType !== Node.ELEMENT_NODE) {
+                child.remove();
+                return;
+            }
+
+            const tag = child.tagName.toLowerCase();
+
+            if (this.droppedTags.has(tag) || (tag === 'input' && child.getAttribute('type') !== 'checkbox')) {
+                child.remove();
+                return;
+            }
+
+            this.sanitizeNode(child);
+
+            // Remote images are only loaded when the user follows the link
+            if (tag === 'img' && this.isRemoteUrl(child.getAttribute('src'))) {
+                child.replaceWith(this.createImageLink(child));
+                return;
+            }
+
+            if (!this.allowedTags.has(tag)) {
+                // Keep the text of unknown tags, drop the tag itself
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+
+            this.sanitizeAttributes(child, tag);
+        });
+    }
+
+    /**
+     * Strip attributes that aren't allowlisted for a tag
+     */
+    sanitizeAttributes(element, tag) {
+        const allowed = this.tagAttributes[tag];
+
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            const keep = (this.globalAttributes.has(name) || (allowed && allowed.has(name))) &&
+                (!this.urlAttributes.has(name) || this.isSafeUrl(value, name)) &&
+                (name !== 'style' || /^text-align:\s*(?:left|right|center);?$/i.test(value.trim())) &&
+                (name !== 'type' || value === 'checkbox');
+
+            if (!keep) {
+                element.removeAttribute(name);
+            }
+        });
+
+        if (tag === 'a' && element.hasAttribute('href') && !element.getAttribute('href').startsWith('#')) {
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+
+        if (tag === 'input') {
+            element.setAttribute('disabled', '');
+        }
+
+        if (tag === 'button') {
+            element.setAttribute('type', 'button');
+        }
+    }
+}
+
+// Create global instance
+window.puterSanitizer = new PuterSanitizer();
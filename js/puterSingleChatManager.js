@@ -8,12 +8,15 @@ class PuterSingleChatManager {
         this.currentModel = null;
         this.chatHistory = [];
         this.isProcessing = false;
+        this.abortController = null;
+        this.idleWaiters = [];
         this.elements = {
             container: null,
             modelSelect: null,
             messagesContainer: null,
             messageInput: null,
-            sendButton: null
+            sendButton: null,
+            parametersBadge: null
         };
     }
 
@@ -35,6 +38,7 @@ class PuterSingleChatManager {
         this.elements.messagesContainer = document.getElementById('singleChatMessages');
         this.elements.messageInput = document.getElementById('messageInput');
         this.elements.sendButton = document.getElementById('streamButton');
+        this.elements.parametersBadge = document.getElementById('singleModelParams');
     }
 
     /**
@@ -92,16 +96,42 @@ class PuterSingleChatManager {
     /**
      * Handle model selection change
      */
-    handleModelChange(modelId) {
+    async handleModelChange(modelId) {
         if (!modelId) {
             this.currentModel = null;
             this.showWelcomeMessage();
+            this.updateParameterBadge();
             return;
         }
 
+        // Keep the previous model's conversation in the list and start a new one
+        if (this.chatHistory.length > 0 && window.puterStorageManager) {
+            await puterStorageManager.flush('single');
+            puterStorageManager.setActiveConversationId('single', puterStorageManager.generateId('single'));
+        }
+
         this.currentModel = modelId;
         this.clearChat();
         this.showModelSelectedMessage(modelId);
+        this.updateParameterBadge();
+    }
+
+    /**
+     * Show the effective parameters for the selected model
+     */
+    updateParameterBadge() {
+        const badge = this.elements.parametersBadge;
+        if (!badge) return;
+
+        if (!this.currentModel) {
+            badge.textContent = '';
+            badge.title = '';
+            return;
+        }
+
+        const parameters = puterParameterManager.resolve(this.currentModel);
+        badge.textContent = puterParameterManager.describe(parameters);
+        badge.title = puterParameterManager.describeFull(parameters);
     }
 
     /**
@@ -125,7 +155,7 @@ class PuterSingleChatManager {
 
         this.elements.messagesContainer.innerHTML = `
             <div class="welcome-message">
-                <p>Ready to chat with ${model.name}</p>
+                <p>Ready to chat with ${puterSanitizer.escape(model.name)}</p>
             </div>
         `;
     }
@@ -136,27 +166,85 @@ class PuterSingleChatManager {
     clearChat() {
         this.chatHistory = [];
         this.elements.messagesContainer.innerHTML = '';
+        this.notifyHistoryChanged();
+    }
+
+    /**
+     * Append a message to the chat history
+     */
+    addToHistory(role, content, details = {}) {
+        this.chatHistory.push({ role, content, timestamp: Date.now(), ...details });
+        this.notifyHistoryChanged();
+    }
+
+    /**
+     * Let the storage layer know the single conversation changed
+     */
+    notifyHistoryChanged() {
+        if (window.puterStorageManager) {
+            puterStorageManager.scheduleSave('single');
+        }
+    }
+
+    /**
+     * Restore a stored conversation into the single chat view
+     */
+    loadConversation(modelId, messages = []) {
+        const model = modelId ? puterModelCapabilities.getModel(modelId) : null;
+        this.currentModel = model ? modelId : null;
+        this.chatHistory = messages.map(entry => ({ ...entry }));
+
+        if (this.elements.modelSelect) {
+            this.elements.modelSelect.value = this.currentModel || '';
+        }
+        this.updateParameterBadge();
+
+        if (!this.currentModel) {
+            this.showWelcomeMessage();
+            return;
+        }
+
+        if (this.chatHistory.length === 0) {
+            this.showModelSelectedMessage(this.currentModel);
+            return;
+        }
+
+        this.elements.messagesContainer.innerHTML = '';
+        this.chatHistory.forEach(entry => {
+            if (entry.role === 'user') {
+                this.displayUserMessage(entry.content, entry.images || []);
+            } else if (entry.role === 'assistant') {
+                puterMetricsManager.attach(this.displayAssistantMessage(entry.content), entry.metrics);
+            }
+        });
     }
 
     /**
      * Send message to selected model
      */
-    async sendMessage(message) {
+    async sendMessage(message, images = []) {
         if (!this.currentModel) {
             this.showError('Please select a model first');
             return;
         }
 
-        if (!message.trim()) {
+        if (!message.trim() && images.length === 0) {
             this.showError('Please enter a message');
             return;
         }
 
+        if (images.length > 0 && !this.canReadImages()) {
+            this.showError('This model cannot read images. Pick a vision model or remove the images.');
+            return;
+        }
+
         if (this.isProcessing) {
             return;
         }
 
         this.isProcessing = true;
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
 
         try {
             // Clear welcome message if present
@@ -166,13 +254,16 @@ class PuterSingleChatManager {
             }
 
             // Display user message
-            this.displayUserMessage(message);
+            this.displayUserMessage(message, images);
 
             // Add to chat history
-            this.chatHistory.push({ role: 'user', content: message });
+            this.addToHistory('user', message, images.length > 0
+                ? { images: images.map(({ name, url }) => ({ name, url })) }
+                : {});
 
             // Show typing indicator
             const typingIndicator = this.showTypingIndicator();
+            const tracker = puterMetricsManager.startTracking();
 
             // Get model and send message
             const model = puterModelCapabilities.getModel(this.currentModel);
@@ -181,21 +272,25 @@ class PuterSingleChatManager {
             }
 
             // Prepare messages for API
+            const parameters = puterParameterManager.resolve(this.currentModel);
+            const systemPrompt = puterChatManager.buildSystemPrompt(model);
+            // Context truncation is a grid setting; a single chat sends its whole history
+            const history = puterChatManager.toApiMessages(this.chatHistory);
             const messages = [
                 {
                     role: "system",
-                    content: `You are ${model.name}. Always identify yourself correctly as ${model.name} when asked about your identity. Do not claim to be ChatGPT or any other model.`
+                    content: systemPrompt
                 },
-                ...this.chatHistory
+                ...history
             ];
 
             let response;
             try {
                 // Try streaming first
-                response = await puter.ai.chat(messages, { 
-                    ...model.parameters, 
+                response = await puterChatManager.abortable(puter.ai.chat(messages, { 
+                    ...parameters, 
                     stream: true 
-                });
+                }), signal);
                 
                 if (response && typeof response[Symbol.asyncIterator] === 'function') {
                     // Remove typing indicator
@@ -203,21 +298,24 @@ class PuterSingleChatManager {
                         typingIndicator.remove();
                     }
                     
-                    await this.handleStreamingResponse(response);
+                    await this.handleStreamingResponse(response, signal, parameters, tracker);
                     return;
                 }
             } catch (e) {
+                if (puterChatManager.isAbortError(e)) throw e;
                 console.log('Streaming failed, trying direct response:', e.message);
             }
 
             // Fallback to direct response
             try {
-                response = await puter.ai.chat(messages, model.parameters);
+                response = await puterChatManager.abortable(puter.ai.chat(messages, parameters), signal);
             } catch (e) {
-                // Final fallback with simple message
-                const systemMessage = `You are ${model.name}. Always identify yourself correctly as ${model.name} when asked about your identity.`;
-                const fullMessage = `${systemMessage}\n\nUser: ${message}`;
-                response = await puter.ai.chat(fullMessage, model.parameters);
+                if (puterChatManager.isAbortError(e)) throw e;
+
+                // Final fallback: flattened conversation with this turn's images
+                const fullMessage = puterChatManager.buildTranscript(systemPrompt, history);
+                const imageUrls = images.map(image => image.url);
+                response = await puterChatManager.abortable(puterChatManager.requestTranscript(fullMessage, imageUrls, parameters), signal);
             }
 
             // Remove typing indicator
@@ -227,30 +325,73 @@ class PuterSingleChatManager {
 
             // Extract and display response
             const content = this.extractContentFromResponse(response);
-            this.displayAssistantMessage(content);
+            const messageDiv = this.displayAssistantMessage(content);
+            const metrics = puterMetricsManager.finish(tracker, content, response);
+            puterMetricsManager.attach(messageDiv, metrics);
 
             // Add to chat history
-            this.chatHistory.push({ role: 'assistant', content: content });
+            this.addToHistory('assistant', content, { parameters, metrics });
+
+            if (window.puterSpeechManager) {
+                puterSpeechManager.autoRead(messageDiv);
+            }
 
         } catch (error) {
-            console.error('Error sending message:', error);
-            
             // Remove typing indicator
             const typingIndicator = this.elements.messagesContainer.querySelector('.single-typing-indicator');
             if (typingIndicator) {
                 typingIndicator.remove();
             }
-            
+
+            if (puterChatManager.isAbortError(error)) {
+                this.dropUnansweredMessage();
+                puterUIManager.markMessageStopped(this.displayAssistantMessage(''));
+                return;
+            }
+
+            console.error('Error sending message:', error);
             this.displayAssistantMessage(`Error: ${error.message}`);
         } finally {
             this.isProcessing = false;
+            this.abortController = null;
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Resolve once no message is being sent
+     */
+    whenIdle() {
+        if (!this.isProcessing) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Stop the in-flight generation, if any
+     */
+    stopGeneration() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Remove a trailing user message that never got a reply
+     */
+    dropUnansweredMessage() {
+        const lastMessage = this.chatHistory[this.chatHistory.length - 1];
+        if (lastMessage && lastMessage.role === 'user') {
+            this.chatHistory.pop();
+            this.notifyHistoryChanged();
         }
     }
 
     /**
      * Handle streaming response
      */
-    async handleStreamingResponse(response) {
+    async handleStreamingResponse(response, signal = null, parameters = null, tracker = null) {
         let fullContent = '';
         let messageDiv = null;
 
@@ -258,8 +399,9 @@ class PuterSingleChatManager {
             // Create initial message div
             messageDiv = this.displayAssistantMessage('');
 
-            for await (const part of response) {
+            for await (const part of puterChatManager.abortableStream(response, signal)) {
                 if (part?.text) {
+                    puterMetricsManager.markFirstToken(tracker);
                     fullContent += part.text;
                     
                     // Update the message content
@@ -276,29 +418,70 @@ class PuterSingleChatManager {
             }
 
             // Add to chat history
-            this.chatHistory.push({ role: 'assistant', content: fullContent });
+            const metrics = puterMetricsManager.finish(tracker, fullContent);
+            this.addToHistory('assistant', fullContent, { parameters, metrics });
+
+            // Math and diagrams render once, after the stream, to avoid flicker
+            puterUIManager.renderRichContent(messageDiv);
+            puterMetricsManager.attach(messageDiv, metrics);
+
+            if (window.puterSpeechManager) {
+                puterSpeechManager.autoRead(messageDiv);
+            }
 
         } catch (error) {
+            if (puterChatManager.isAbortError(error)) {
+                // Keep whatever arrived before the stop as the reply
+                if (fullContent) {
+                    this.addToHistory('assistant', fullContent, { parameters });
+                } else {
+                    this.dropUnansweredMessage();
+                }
+                puterUIManager.markMessageStopped(messageDiv);
+                puterUIManager.renderRichContent(messageDiv);
+                return;
+            }
+
             console.error('Streaming error:', error);
             if (messageDiv) {
                 const contentDiv = messageDiv.querySelector('.single-message-content');
                 if (contentDiv) {
-                    contentDiv.innerHTML = `Error: ${error.message}`;
+                    contentDiv.textContent = `Error: ${error.message}`;
                 }
             }
         }
     }
 
+    /**
+     * Check whether the selected model can read images
+     */
+    canReadImages() {
+        return !!this.currentModel && puterModelCapabilities.supportsVision(this.currentModel);
+    }
+
     /**
      * Display user message
      */
-    displayUserMessage(message) {
+    displayUserMessage(message, images = []) {
         const messageDiv = document.createElement('div');
         messageDiv.className = 'single-message user';
         
-        messageDiv.innerHTML = `
-            <div class="single-message-content">${this.formatContent(message)}</div>
-        `;
+        messageDiv.innerHTML = message
+            ? `<div class="single-message-content">${this.formatContent(message)}</div>`
+            : '';
+
+        if (images.length > 0) {
+            const imagesDiv = document.createElement('div');
+            imagesDiv.className = 'message-images';
+            images.forEach(image => {
+                const img = document.createElement('img');
+                img.src = image.url;
+                img.alt = image.name;
+                img.className = 'message-image';
+                imagesDiv.appendChild(img);
+            });
+            messageDiv.prepend(imagesDiv);
+        }
         
         this.elements.messagesContainer.appendChild(messageDiv);
         this.scrollToBottom();
@@ -314,9 +497,13 @@ class PuterSingleChatManager {
         messageDiv.innerHTML = `
             <div class="single-message-content">${this.formatContent(content)}</div>
         `;
+        if (window.puterSpeechManager) {
+            puterSpeechManager.attachSpeakButton(messageDiv, '.single-message-content');
+        }
         
         this.elements.messagesContainer.appendChild(messageDiv);
         this.scrollToBottom();
+        puterUIManager.renderRichContent(messageDiv);
         
         return messageDiv;
     }
@@ -380,14 +567,7 @@ class PuterSingleChatManager {
      * Format content for display
      */
     formatContent(content) {
-        if (!content) return '';
-        
-        // Basic markdown-like formatting
-        return content
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/`(.*?)`/g, '<code>$1</code>')
-            .replace(/\n/g, '<br>');
+        return puterUIManager.formatContent(content);
     }
 
     /**
@@ -0,0 +1,286 @@
+/**
+ * Puter Speech Manager
+ * Reads assistant replies aloud with puter.ai.txt2speech, falling back to the Web Speech API
+ */
+
+class PuterSpeechManager {
+    constructor() {
+        this.settings = {
+            language: 'en-US',
+            voice: '', // '' = default, 'browser:<name>' = a Web Speech voice
+            autoRead: false
+        };
+        this.maxPuterLength = 3000; // txt2speech rejects longer text
+        this.puterVoices = {
+            'en-US': ['Joanna', 'Matthew', 'Ivy', 'Kendra', 'Justin'],
+            'en-GB': ['Amy', 'Brian', 'Emma'],
+            'es-ES': ['Lucia', 'Sergio'],
+            'fr-FR': ['Lea', 'Remi'],
+            'de-DE': ['Vicki', 'Daniel'],
+            'it-IT': ['Bianca', 'Adriano'],
+            'pt-BR': ['Camila', 'Thiago'],
+            'ja-JP': ['Takumi', 'Kazuha'],
+            'hi-IN': ['Kajal'],
+            'cmn-CN': ['Zhiyu']
+        };
+        this.currentAudio = null;
+        this.currentButton = null;
+        this.playbackId = 0;
+        this.elements = {
+            languageSelect: null,
+            voiceSelect: null,
+            autoReadToggle: null
+        };
+    }
+
+    /**
+     * Initialize the speech settings
+     */
+    init() {
+        this.elements.languageSelect = document.getElementById('speechLanguageSelect');
+        this.elements.voiceSelect = document.getElementById('speechVoiceSelect');
+        this.elements.autoReadToggle = document.getElementById('autoReadToggle');
+
+        if (this.elements.languageSelect) {
+            this.elements.languageSelect.value = this.settings.language;
+            this.elements.languageSelect.addEventListener('change', (e) => {
+                this.settings.language = e.target.value;
+                this.settings.voice = '';
+                this.populateVoices();
+            });
+        }
+
+        if (this.elements.voiceSelect) {
+            this.elements.voiceSelect.addEventListener('change', (e) => {
+                this.settings.voice = e.target.value;
+            });
+        }
+
+        if (this.elements.autoReadToggle) {
+            this.elements.autoReadToggle.checked = this.settings.autoRead;
+            this.elements.autoReadToggle.addEventListener('change', (e) => {
+                this.settings.autoRead = e.target.checked;
+            });
+        }
+
+        // Browsers load their voice list asynchronously
+        if (this.hasBrowserSpeech()) {
+            speechSynthesis.addEventListener('voiceschanged', () => this.populateVoices());
+        }
+
+        this.populateVoices();
+        console.log('✅ Speech Manager initialized');
+    }
+
+    /**
+     * Check for the Web Speech API
+     */
+    hasBrowserSpeech() {
+        return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    /**
+     * Get the browser voices for the selected language
+     */
+    getBrowserVoices() {
+        if (!this.hasBrowserSpeech()) return [];
+
+        const prefix = this.settings.language.split('-')[0];
+        return speechSynthesis.getVoices().filter(voice => voice.lang.startsWith(prefix));
+    }
+
+    /**
+     * Fill the voice dropdown for the selected language
+     */
+    populateVoices() {
+        const select = this.elements.voiceSelect;
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Default</option>';
+
+        const addGroup = (label, voices) => {
+            if (voices.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            voices.forEach(({ value, name }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+
+        addGroup('Puter voices', (this.puterVoices[this.settings.language] || [])
+            .map(name => ({ value: name, name })));
+        addGroup('Browser voices', this.getBrowserVoices()
+            .map(voice => ({ value: `browser:${voice.name}`, name: voice.name })));
+
+        select.value = this.settings.voice;
+    }
+
+    /**
+     * Add a speaker button to an assistant message
+     */
+    attachSpeakButton(messageDiv, contentSelector) {
+        const button = document.createElement('button');
+        button.className = 'speak-btn';
+        button.title = 'Read aloud';
+        button.textContent = '🔊';
+
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (this.currentButton === button) {
+                this.stop();
+                return;
+            }
+
+            this.speak(this.getSpeakableText(messageDiv.querySelector(contentSelector)), button);
+        });
+
+        messageDiv.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Text of a rendered message without code block controls, line numbers or drawn diagrams
+     */
+    getSpeakableText(content) {
+        if (!content) return '';
+
+        const copy = content.cloneNode(true);
+        copy.querySelectorAll('.code-block-header, .line-numbers, .diagram-output').forEach(node => node.remove());
+        return copy.textContent;
+    }
+
+    /**
+     * Read a finished reply aloud when auto-read is on
+     */
+    autoRead(messageDiv) {
+        if (!this.settings.autoRead || !messageDiv) return;
+
+        const button = messageDiv.querySelector('.speak-btn');
+        if (button && this.currentButton !== button) {
+            button.click();
+        }
+    }
+
+    /**
+     * Speak text, stopping anything already playing
+     */
+    async speak(text, button = null) {
+        this.stop();
+
+        text = text.trim();
+        if (!text) return;
+
+        const playbackId = ++this.playbackId;
+        this.setPlaying(button);
+
+        const useBrowser = this.settings.voice.startsWith('browser:') ||
+            text.length > this.maxPuterLength ||
+            typeof puter === 'undefined';
+
+        if (!useBrowser) {
+            try {
+                const options = { language: this.settings.language, engine: 'neural' };
+                if (this.settings.voice) {
+                    options.voice = this.settings.voice;
+                }
+
+                const audio = await puter.ai.txt2speech(text, options);
+
+                // Another playback started while this one was loading
+                if (playbackId !== this.playbackId) return;
+
+                this.currentAudio = audio;
+                audio.addEventListener('ended', () => this.finish(playbackId));
+                await audio.play();
+                return;
+            } catch (error) {
+                if (playbackId !== this.playbackId) return;
+                console.warn('⚠️ Puter text-to-speech failed, using browser speech:', error);
+            }
+        }
+
+        try {
+            this.speakWithBrowser(text, playbackId);
+        } catch (error) {
+            console.error('❌ Text-to-speech failed:', error);
+            this.finish(playbackId);
+            puterUIManager.showError('Text-to-speech is not available in this browser');
+        }
+    }
+
+    /**
+     * Speak text with the Web Speech API
+     */
+    speakWithBrowser(text, playbackId) {
+        if (!this.hasBrowserSpeech()) {
+            throw new Error('Web Speech API not supported');
+        }
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = this.settings.language;
+
+        const voiceName = this.settings.voice.replace(/^browser:/, '');
+        const voice = this.getBrowserVoices().find(entry => entry.name === voiceName);
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        utterance.onend = () => this.finish(playbackId);
+        utterance.onerror = () => this.finish(playbackId);
+        speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Stop any playback
+     */
+    stop() {
+        this.playbackId++;
+
+        if (this.currentAudio) {
+            this.currentAudio.pause();
+            this.currentAudio = null;
+        }
+        if (this.hasBrowserSpeech()) {
+            speechSynthesis.cancel();
+        }
+
+        this.setPlaying(null);
+    }
+
+    /**
+     * Reset state once a playback ends on its own
+     */
+    finish(playbackId) {
+        if (playbackId !== this.playbackId) return;
+        this.currentAudio = null;
+        this.setPlaying(null);
+    }
+
+    /**
+     * Show which message is being read
+     */
+    setPlaying(button) {
+        if (this.currentButton) {
+            this.currentButton.classList.remove('playing');
+            this.currentButton.textContent = '🔊';
+            this.currentButton.title = 'Read aloud';
+        }
+
+        this.currentButton = button;
+
+        if (button) {
+            button.classList.add('playing');
+            button.textContent = '⏹';
+            button.title = 'Stop reading';
+        }
+    }
+}
+
+// Create global instance
+window.puterSpeechManager = new PuterSpeechManager();
@@ -0,0 +1,499 @@
+/**
+ * Puter Storage Manager
+ * Persists conversations in IndexedDB, falling back to localStorage and then memory
+ */
+
+class PuterStorageManager {
+    constructor() {
+        this.dbName = 'puter-ai-chatbot';
+        this.dbVersion = 1;
+        this.db = null;
+        this.backend = null; // 'indexeddb' | 'localstorage' | 'memory'
+        this.memoryStore = { conversations: {}, meta: {} };
+        this.storageFull = false; // Once full, new writes stay in memory; saved records are still read from storage
+        this.localStorageKeys = {
+            conversations: 'puterChat.conversations',
+            meta: 'puterChat.meta'
+        };
+        this.activeConversationIds = { grid: null, single: null };
+        this.saveTimers = {};
+        this.saveDelay = 500;
+        this.isRestoring = false;
+        this.readyPromise = null;
+    }
+
+    /**
+     * Open the best available storage backend
+     */
+    init() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.openBackend();
+        }
+        return this.readyPromise;
+    }
+
+    /**
+     * Try IndexedDB first, then localStorage, then memory
+     */
+    async openBackend() {
+        try {
+            this.db = await this.openDatabase();
+            this.backend = 'indexeddb';
+        } catch (error) {
+            console.warn('⚠️ IndexedDB unavailable, falling back to localStorage:', error);
+            this.backend = this.isLocalStorageAvailable() ? 'localstorage' : 'memory';
+        }
+
+        // Ask the browser not to evict our data under storage pressure
+        if (navigator.storage && typeof navigator.storage.persist === 'function') {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        console.log(`💾 Conversation storage ready (${this.backend})`);
+        return this.backend;
+    }
+
+    /**
+     * Open (and upgrade) the IndexedDB database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('conversations')) {
+                    const store = db.createObjectStore('conversations', { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    /**
+     * Check that localStorage can actually be written
+     */
+    isLocalStorageAvailable() {
+        try {
+            const probe = '__puterChat_probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     */
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for a write transaction to commit; quota failures only show up as an abort
+     */
+    transactionToPromise(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error);
+            transaction.onerror = (event) => reject(transaction.error || event.target.error);
+        });
+    }
+
+    /**
+     * Get an object store from a new transaction
+     */
+    getStore(storeName, mode = 'readonly') {
+        return this.db.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    /**
+     * Read a whole store from localStorage
+     */
+    readLocalStore(storeName) {
+        try {
+            return JSON.parse(localStorage.getItem(this.localStorageKeys[storeName])) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Write a whole store to localStorage
+     */
+    writeLocalStore(storeName, data) {
+        localStorage.setItem(this.localStorageKeys[storeName], JSON.stringify(data));
+    }
+
+    /**
+     * Check whether an error means we ran out of space
+     */
+    isQuotaError(error) {
+        return error && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22);
+    }
+
+    /**
+     * Put a record into a store on the current backend
+     */
+    async putRecord(storeName, record, key) {
+        if (this.backend === 'memory' || this.storageFull) {
+            this.memoryStore[storeName][key] = record;
+        } else if (this.backend === 'indexeddb') {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            transaction.objectStore(storeName).put(record);
+            await this.transactionToPromise(transaction);
+        } else if (this.backend === 'localstorage') {
+            const data = this.readLocalStore(storeName);
+            data[key] = record;
+            this.writeLocalStore(storeName, data);
+        }
+    }
+
+    /**
+     * Get a record from a store on the current backend
+     */
+    async getRecord(storeName, key) {
+        if (this.memoryStore[storeName][key]) {
+            return this.memoryStore[storeName][key];
+        }
+        if (this.backend === 'indexeddb') {
+            return (await this.requestToPromise(this.getStore(storeName).get(key))) || null;
+        } else if (this.backend === 'localstorage') {
+            return this.readLocalStore(storeName)[key] || null;
+        }
+        return null;
+    }
+
+    /**
+     * Delete a record from a store on the current backend
+     */
+    async deleteRecord(storeName, key) {
+        delete this.memoryStore[storeName][key];
+        if (this.backend === 'indexeddb') {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            transaction.objectStore(storeName).delete(key);
+            await this.transactionToPromise(transaction);
+        } else if (this.backend === 'localstorage') {
+            const data = this.readLocalStore(storeName);
+            delete data[key];
+            this.writeLocalStore(storeName, data);
+        }
+    }
+
+    /**
+     * Save a conversation, evicting the oldest inactive ones if storage is full
+     */
+    async saveConversation(conversation) {
+        await this.init();
+
+        while (true) {
+            try {
+                await this.putRecord('conversations', conversation, conversation.id);
+                return true;
+            } catch (error) {
+                if (!this.isQuotaError(error)) {
+                    throw error;
+                }
+
+                const evicted = await this.evictOldestConversation(conversation.id);
+                if (!evicted) {
+                    // This and later writes are kept in memory
+                    this.handleStorageFull();
+                    await this.putRecord('conversations', conversation, conversation.id);
+                    return false;
+                }
+            }
+        }
+    }
+
+    /**
+     * Delete the least recently updated conversation that is not in use
+     */
+    async evictOldestConversation(keepId) {
+        const activeIds = Object.values(this.activeConversationIds);
+        const candidates = (await this.getAllConversations())
+            .filter(conversation => conversation.id !== keepId && !activeIds.includes(conversation.id))
+            .sort((a, b) => a.updatedAt - b.updatedAt);
+
+        if (candidates.length === 0) {
+            return false;
+        }
+
+        console.warn(`⚠️ Storage full, removing oldest conversation "${candidates[0].title}"`);
+        await this.deleteRecord('conversations', candidates[0].id);
+        return true;
+    }
+
+    /**
+     * Keep new writes in memory once nothing else fits
+     */
+    handleStorageFull() {
+        if (this.backend !== 'memory' && !this.storageFull) {
+            console.warn('⚠️ Storage quota exceeded, keeping new changes in memory only');
+            this.storageFull = true;
+        }
+        if (window.puterUIManager) {
+            puterUIManager.showError('Storage is full. New messages will not survive a reload.');
+        }
+    }
+
+    /**
+     * Get a single conversation
+     */
+    async getConversation(id) {
+        await this.init();
+        return this.getRecord('conversations', id);
+    }
+
+    /**
+     * Get all stored conversations
+     */
+    async getAllConversations() {
+        await this.init();
+
+        let stored = [];
+        if (this.backend === 'indexeddb') {
+            stored = await this.requestToPromise(this.getStore('conversations').getAll());
+        } else if (this.backend === 'localstorage') {
+            stored = Object.values(this.readLocalStore('conversations'));
+        }
+
+        // Conversations kept in memory after storage filled up replace their stored copies
+        const inMemory = this.memoryStore.conversations;
+        return [
+            ...stored.filter(conversation => !inMemory[conversation.id]),
+            ...Object.values(inMemory)
+        ];
+    }
+
+    /**
+     * Delete a conversation
+     */
+    async deleteConversation(id) {
+        await this.init();
+        await this.deleteRecord('conversations', id);
+    }
+
+    /**
+     * Read a metadata value
+     */
+    async getMeta(key) {
+        await this.init();
+        const record = await this.getRecord('meta', key);
+        return record ? record.value : null;
+    }
+
+    /**
+     * Write a metadata value
+     */
+    async setMeta(key, value) {
+        await this.init();
+        try {
+            await this.putRecord('meta', { key, value }, key);
+        } catch (error) {
+            console.warn(`⚠️ Failed to store ${key}:`, error);
+        }
+    }
+
+    /**
+     * Create a new conversation id
+     */
+    generateId(mode) {
+        return `${mode}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Get (or create) the id of the active conversation for a mode
+     */
+    getActiveConversationId(mode) {
+        if (!this.activeConversationIds[mode]) {
+            this.setActiveConversationId(mode, this.generateId(mode));
+        }
+        return this.activeConversationIds[mode];
+    }
+
+    /**
+     * Switch the active conversation for a mode
+     */
+    setActiveConversationId(mode, id) {
+        this.activeConversationIds[mode] = id;
+        this.setMeta(`active-${mode}`, id);
+    }
+
+    /**
+     * Debounce saving the active conversation of a mode
+     */
+    scheduleSave(mode) {
+        if (this.isRestoring) return;
+
+        clearTimeout(this.saveTimers[mode]);
+        this.saveTimers[mode] = setTimeout(() => {
+            this.saveTimers[mode] = null;
+            this.saveActiveConversation(mode).catch(error => {
+                console.error(`❌ Failed to save ${mode} conversation:`, error);
+            });
+        }, this.saveDelay);
+    }
+
+    /**
+     * Save a mode's pending changes right away
+     */
+    async flush(mode) {
+        if (!this.saveTimers[mode]) return;
+
+        this.cancelPendingSave(mode);
+        try {
+            await this.saveActiveConversation(mode);
+        } catch (error) {
+            console.error(`❌ Failed to save ${mode} conversation:`, error);
+        }
+    }
+
+    /**
+     * Drop a mode's pending save
+     */
+    cancelPendingSave(mode) {
+        clearTimeout(this.saveTimers[mode]);
+        this.saveTimers[mode] = null;
+    }
+
+    /**
+     * Build and store the active conversation record for a mode
+     */
+    async saveActiveConversation(mode) {
+        // Snapshot before awaiting so callers capture the state at call time
+        const id = this.getActiveConversationId(mode);
+        const snapshot = mode === 'grid' ? this.snapshotGrid() : this.snapshotSingle();
+        const existing = await this.getConversation(id);
+
+        // Nothing said yet: don't litter storage with empty sessions
+        if (!existing && snapshot.messageCount === 0) return;
+
+        const now = Date.now();
+        const conversation = {
+            ...(existing || {}),
+            ...snapshot.data,
+            id,
+            mode,
+            title: existing?.title || snapshot.title || 'New conversation',
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        await this.saveConversation(conversation);
+
+        if (window.puterConversationManager) {
+            puterConversationManager.refresh();
+        }
+    }
+
+    /**
+     * Capture the grid windows' histories
+     */
+    snapshotGrid() {
+        const windows = {};
+        let messageCount = 0;
+        let title = null;
+
+        puterChatManager.conversationHistories.forEach((history, modelId) => {
+            if (history.length === 0) return;
+            windows[modelId] = history.map(entry => ({ ...entry }));
+            messageCount += history.length;
+            if (!title) {
+                title = history.find(entry => entry.role === 'user')?.content;
+            }
+        });
+
+        return {
+            data: { windows, judgements: { ...puterChatManager.judgements } },
+            messageCount,
+            title: this.makeTitle(title)
+        };
+    }
+
+    /**
+     * Capture the single chat history
+     */
+    snapshotSingle() {
+        const messages = puterSingleChatManager.chatHistory.map(entry => ({ ...entry }));
+        const title = messages.find(entry => entry.role === 'user')?.content;
+
+        return {
+            data: {
+                modelId: puterSingleChatManager.currentModel,
+                messages
+            },
+            messageCount: messages.length,
+            title: this.makeTitle(title)
+        };
+    }
+
+    /**
+     * Turn a first prompt into a short title
+     */
+    makeTitle(text) {
+        if (!text) return null;
+        const singleLine = text.replace(/\s+/g, ' ').trim();
+        return singleLine.length > 60 ? `${singleLine.slice(0, 57)}...` : singleLine;
+    }
+
+    /**
+     * Restore the last active grid and single conversations on startup
+     */
+    async restoreActiveConversations() {
+        await this.init();
+
+        for (const mode of ['grid', 'single']) {
+            const id = await this.getMeta(`active-${mode}`);
+            if (!id) continue;
+
+            this.activeConversationIds[mode] = id;
+            const conversation = await this.getConversation(id);
+            if (conversation) {
+                this.loadConversation(conversation);
+            }
+        }
+    }
+
+    /**
+     * Load a stored conversation into the UI without re-saving it
+     */
+    loadConversation(conversation) {
+        this.isRestoring = true;
+        try {
+            if (conversation.mode === 'grid') {
+                puterChatManager.loadHistories(conversation.windows || {}, conversation.judgements || {});
+                puterUIManager.renderGridHistories(conversation.windows || {});
+                if (window.puterSynthesisManager) {
+                    puterSynthesisManager.closeIfStale();
+                }
+            } else {
+                puterSingleChatManager.loadConversation(conversation.modelId, conversation.messages || []);
+            }
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+}
+
+// Create global instance
+window.puterStorageManager = new PuterStorageManager();
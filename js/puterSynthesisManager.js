@@ -0,0 +1,316 @@
+/**
+ * Puter Synthesis Manager
+ * Merges a grid round's answers into one answer with an aggregator model, shown in a pinned panel
+ */
+
+class PuterSynthesisManager {
+    constructor() {
+        this.modelKey = 'synthesisModel';
+        this.aggregatorModelId = null;
+        this.synthesis = null; // { roundId, prompt, modelId, sourceCount, content, done, failed }
+        this.controller = null;
+        this.elements = {
+            panel: null
+        };
+    }
+
+    /**
+     * Load the saved aggregator and bind the synthesize button and panel
+     */
+    async init() {
+        this.elements.panel = document.getElementById('synthesisPanel');
+
+        const synthesizeButton = document.getElementById('gridSynthesizeBtn');
+        if (synthesizeButton) {
+            synthesizeButton.addEventListener('click', () => this.openSynthesisDialog());
+        }
+
+        if (this.elements.panel) {
+            this.elements.panel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-synthesis-action]');
+                if (!button) return;
+
+                const action = button.getAttribute('data-synthesis-action');
+                if (action === 'stop') {
+                    this.stop();
+                } else if (action === 'continue') {
+                    this.continueInSingle();
+                } else if (action === 'close') {
+                    this.close();
+                }
+            });
+        }
+
+        const modelId = await puterStorageManager.getMeta(this.modelKey);
+        if (modelId && puterModelCapabilities.getModel(modelId)) {
+            this.aggregatorModelId = modelId;
+        }
+
+        console.log('✅ Synthesis Manager initialized');
+    }
+
+    /**
+     * Build the aggregator's messages
+     */
+    buildMessages(prompt, answers) {
+        const answersText = answers.map(answer =>
+            `### ${puterUIManager.getWindowLabel(answer.modelId)}\n${puterChatManager.truncateForQuote(answer.content)}`
+        ).join('\n\n');
+
+        return [
+            {
+                role: 'system',
+                content: 'You combine answers from several AI assistants into a single, best answer. ' +
+                    'Keep what is correct and useful, resolve contradictions on the merits and do not invent facts none of them support.'
+            },
+            {
+                role: 'user',
+                content: `Question:\n${prompt}\n\nAnswers:\n\n${answersText}\n\n` +
+                    'Write one merged answer to the question. Then add a section titled "Agreement and disagreement" ' +
+                    'listing where the answers agreed, where they disagreed and which side you went with and why, ' +
+                    'referring to the answers by their headings.'
+            }
+        ];
+    }
+
+    /**
+     * Pick the aggregator model for the latest round
+     */
+    openSynthesisDialog() {
+        const round = puterChatManager.getLatestRound();
+        const answers = round ? puterChatManager.getFinishedAnswers(round) : [];
+        if (answers.length < 2) {
+            puterUIManager.showError('At least two finished answers are needed to synthesize');
+            return;
+        }
+
+        const models = puterChatManager.getAllChatModels();
+        const selectedId = models.includes(this.aggregatorModelId) ? this.aggregatorModelId : models[0];
+        const modelOptions = models.map(modelId =>
+            `<option value="${puterSanitizer.escape(modelId)}"${modelId === selectedId ? ' selected' : ''}>${puterSanitizer.escape(puterUIManager.getModelDisplayName(modelId))}</option>`
+        ).join('');
+
+        const pending = puterChatManager.activeGenerations.size;
+        const content = `
+            <div class="metrics-dialog">
+                <p class="metrics-note">${answers.length} answers to “${puterSanitizer.escape(puterStorageManager.makeTitle(round.prompt))}”</p>
+                ${pending > 0 ? `<p class="metrics-note">${pending} models are still answering; only finished answers are merged.</p>` : ''}
+                <div class="metrics-controls">
+                    <select id="synthesisModelSelect" class="export-select" title="Aggregator model">${modelOptions}</select>
+                    <button class="export-btn" id="synthesisRunBtn">🧩 Synthesize</button>
+                </div>
+            </div>
+        `;
+
+        const modal = puterApp.showModal('Synthesize Answers', content);
+        modal.querySelector('#synthesisRunBtn').addEventListener('click', () => {
+            this.aggregatorModelId = modal.querySelector('#synthesisModelSelect').value;
+            puterStorageManager.setMeta(this.modelKey, this.aggregatorModelId);
+            modal.remove();
+            this.synthesize(round, answers, this.aggregatorModelId);
+        });
+    }
+
+    /**
+     * Stream the merged answer into the panel
+     */
+    async synthesize(round, answers, modelId) {
+        const model = puterModelCapabilities.getModel(modelId);
+        if (!model) {
+            puterUIManager.showError(`Model ${modelId} not found`);
+            return;
+        }
+
+        this.stop();
+        const controller = new AbortController();
+        this.controller = controller;
+        const signal = controller.signal;
+
+        const synthesis = {
+            roundId: round.id,
+            prompt: String(round.prompt || ''),
+            modelId,
+            sourceCount: answers.length,
+            content: '',
+            done: false
+        };
+        this.synthesis = synthesis;
+        this.renderPanel();
+
+        const messages = this.buildMessages(synthesis.prompt, answers);
+        const parameters = {
+            ...model.parameters,
+            // A merged answer runs longer than any single one
+            max_tokens: Math.max(model.parameters.max_tokens || 0, 2000)
+        };
+
+        try {
+            let streamed = false;
+            try {
+                const response = await puterChatManager.abortable(puter.ai.chat(messages, { ...parameters, stream: true }), signal);
+                if (response && typeof response[Symbol.asyncIterator] === 'function') {
+                    streamed = true;
+                    for await (const part of puterChatManager.abortableStream(response, signal)) {
+                        if (part?.text) {
+                            synthesis.content += part.text;
+                            this.updateContent();
+                        }
+                    }
+                }
+            } catch (e) {
+                if (puterChatManager.isAbortError(e) || streamed) throw e;
+            }
+
+            // Fallback: wait for the whole answer
+            if (!streamed) {
+                const response = await puterChatManager.abortable(puter.ai.chat(messages, parameters), signal);
+                synthesis.content = puterChatManager.extractContentFromResponse(response);
+            }
+        } catch (error) {
+            if (!puterChatManager.isAbortError(error)) {
+                console.error('❌ Synthesis failed:', error);
+                puterUIManager.showError(`Synthesis failed: ${error.message}`);
+                if (!synthesis.content) {
+                    synthesis.content = `Error: ${error.message}`;
+                    synthesis.failed = true;
+                }
+            }
+        } finally {
+            if (this.controller === controller) {
+                this.controller = null;
+            }
+        }
+
+        if (this.synthesis !== synthesis) return;
+        synthesis.done = true;
+        this.updateContent();
+        this.updateActions();
+        puterUIManager.renderRichContent(this.elements.panel.querySelector('.synthesis-body'));
+    }
+
+    /**
+     * Stop a synthesis in progress
+     */
+    stop() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Stop and hide the panel
+     */
+    close() {
+        this.stop();
+        this.synthesis = null;
+        if (this.elements.panel) {
+            this.elements.panel.style.display = 'none';
+            this.elements.panel.innerHTML = '';
+        }
+    }
+
+    /**
+     * Close the panel when its round is no longer in the grid, e.g. after switching conversations
+     */
+    closeIfStale() {
+        if (!this.synthesis) return;
+
+        const roundId = this.synthesis.roundId;
+        if (!puterChatManager.getRounds().some(round => round.id === roundId)) {
+            this.close();
+        }
+    }
+
+    /**
+     * Draw the panel for the current synthesis
+     */
+    renderPanel() {
+        const panel = this.elements.panel;
+        const synthesis = this.synthesis;
+        if (!panel || !synthesis) return;
+
+        const meta = `${puterUIManager.getModelDisplayName(synthesis.modelId)} · ${synthesis.sourceCount} answers · ${puterStorageManager.makeTitle(synthesis.prompt)}`;
+        panel.innerHTML = `
+            <div class="synthesis-header">
+                <span class="synthesis-title">🧩 Synthesis</span>
+                <span class="synthesis-meta" title="${puterSanitizer.escape(synthesis.prompt)}">${puterSanitizer.escape(meta)}</span>
+                <div class="synthesis-actions">
+                    <button class="export-btn" data-synthesis-action="stop">⏹ Stop</button>
+                    <button class="export-btn" data-synthesis-action="continue">💬 Continue in Single LLM</button>
+                    <button class="export-btn" data-synthesis-action="close" title="Close">✕</button>
+                </div>
+            </div>
+            <div class="synthesis-body">
+                <div class="message-content">
+                    <div class="typing-indicator">
+                        <div class="typing-dots">
+                            <div class="typing-dot"></div>
+                            <div class="typing-dot"></div>
+                            <div class="typing-dot"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        panel.style.display = '';
+        this.updateActions();
+    }
+
+    /**
+     * Show the merged text so far
+     */
+    updateContent() {
+        const contentDiv = this.elements.panel?.querySelector('.synthesis-body .message-content');
+        if (!contentDiv) return;
+
+        if (this.synthesis.content) {
+            contentDiv.innerHTML = puterUIManager.formatContent(this.synthesis.content);
+        } else if (this.synthesis.done) {
+            contentDiv.textContent = 'Stopped before any text arrived';
+        }
+    }
+
+    /**
+     * Show Stop while generating and Continue once there is an answer to continue from
+     */
+    updateActions() {
+        const panel = this.elements.panel;
+        if (!panel || !this.synthesis) return;
+
+        const { done, content, failed } = this.synthesis;
+        panel.querySelector('[data-synthesis-action="stop"]').style.display = done ? 'none' : '';
+        panel.querySelector('[data-synthesis-action="continue"]').style.display = done && content && !failed ? '' : 'none';
+    }
+
+    /**
+     * Open the merged answer as a new Single LLM conversation with the aggregator
+     */
+    async continueInSingle() {
+        const synthesis = this.synthesis;
+        if (!synthesis || !synthesis.done || !synthesis.content) return;
+
+        await puterConversationManager.leaveConversation('single');
+
+        const now = Date.now();
+        const messages = [
+            { role: 'user', content: synthesis.prompt, timestamp: now },
+            { role: 'assistant', content: synthesis.content, timestamp: now }
+        ];
+        puterStorageManager.setActiveConversationId('single', puterStorageManager.generateId('single'));
+        puterStorageManager.loadConversation({ mode: 'single', modelId: synthesis.modelId, messages });
+        await puterStorageManager.saveActiveConversation('single');
+
+        const conversation = await puterStorageManager.getConversation(puterStorageManager.activeConversationIds.single);
+        if (conversation) {
+            conversation.title = puterStorageManager.makeTitle(`Synthesis: ${synthesis.prompt}`);
+            await puterStorageManager.saveConversation(conversation);
+        }
+
+        puterUIManager.activateSidebarItem('single');
+        await puterConversationManager.refresh();
+    }
+}
+
+// Create global instance
+window.puterSynthesisManager = new PuterSynthesisManager();
@@ -10,7 +10,10 @@ class PuterUIManager {
         this.elements = {
             messageInput: null,
             fileInput: null,
+            attachButton: null,
+            imagePreviews: null,
             sendButton: null,
+            stopButton: null,
             toggleParams: null,
             toggleSidebar: null,
             maxTokensInput: null,
@@ -22,7 +25,8 @@ class PuterUIManager {
         };
 
         this.activeModels = []; // Will be populated with all available models
-        this.uploadedImages = [];
+        this.uploadedImages = []; // { id, file, url, name }
+        this.nextImageId = 1; // Pasted images share a name, so attachments are told apart by id
         this.isProcessing = false;
         this.chatWindows = new Map(); // Store chat window elements
         this.modelStates = new Map(); // Store model enabled/disabled states
@@ -80,6 +84,7 @@ class PuterUIManager {
         // Generate settings model toggles after a delay to ensure chat windows are ready
         setTimeout(() => {
             this.generateSettingsModelToggles();
+            this.generateParameterOverrideControls();
         }, 1000);
     }
 
@@ -177,9 +182,30 @@ class PuterUIManager {
                 <div class="chat-header">
                     <div class="model-info">
                         <div class="model-icon">${this.getModelIcon(modelId)}</div>
-                        <span class="model-name" title="${model.name}">${model.name}</span>
+                        <span class="model-name" title="${puterSanitizer.escape(model.name)}">${puterSanitizer.escape(model.name)}</span>
+                        <span class="model-params" data-model="${modelId}"></span>
                     </div>
                     <div class="model-controls">
+                        <button class="model-favorite-btn" data-model="${modelId}" title="Mark as favorite">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11.48 3.5a.56.56 0 011.04 0l2.13 5.11a.56.56 0 00.47.35l5.52.44c.5.04.7.66.32.98l-4.2 3.6a.56.56 0 00-.18.56l1.28 5.39a.56.56 0 01-.84.61l-4.73-2.89a.56.56 0 00-.58 0l-4.73 2.89a.56.56 0 01-.84-.61l1.28-5.39a.56.56 0 00-.18-.56l-4.2-3.6a.56.56 0 01.32-.98l5.52-.44a.56.56 0 00.47-.35l2.13-5.11z"></path>
+                            </svg>
+                        </button>
+                        <button class="model-stop-btn" data-model="${modelId}" title="Stop generating">
+                            <svg width="16" height="16" fill="currentColor" viewBox="0 0 24 24">
+                                <rect x="6" y="6" width="12" height="12" rx="2"></rect>
+                            </svg>
+                        </button>
+                        <button class="model-regenerate-btn" data-model="${modelId}" title="Regenerate last answer">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M16.023 9.348h4.992V4.356M2.985 19.644v-4.992h4.992m-4.993 0l3.181 3.183a8.25 8.25 0 0013.803-3.7M4.031 9.865a8.25 8.25 0 0113.803-3.7l3.181 3.182"></path>
+                            </svg>
+                        </button>
+                        <button class="model-reset-btn" data-model="${modelId}" title="Reset conversation context">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+                            </svg>
+                        </button>
                         <button class="model-toggle-btn" data-model="${modelId}" title="Toggle model output">
                             <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"></path>
@@ -189,7 +215,7 @@ class PuterUIManager {
                     </div>
                 </div>
                 <div class="chat-messages" id="messages-${modelId}">
-                    <div class="placeholder-text">Ready to chat with ${model.name}</div>
+                    <div class="placeholder-text">Ready to chat with ${puterSanitizer.escape(model.name)}</div>
                 </div>
             `;
 
@@ -205,14 +231,44 @@ class PuterUIManager {
                 e.preventDefault();
                 this.toggleModelState(modelId);
             });
+
+            // Add stop button event listener
+            const stopBtn = chatWindow.querySelector('.model-stop-btn');
+            stopBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                puterChatManager.stopGeneration(modelId);
+            });
+
+            // Add regenerate button event listener
+            const regenerateBtn = chatWindow.querySelector('.model-regenerate-btn');
+            regenerateBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                puterChatManager.regenerateForModel(modelId);
+            });
+
+            // Add reset context button event listener
+            const resetBtn = chatWindow.querySelector('.model-reset-btn');
+            resetBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.resetModelContext(modelId);
+            });
+
+            // Clicking the parameter summary opens its overrides in settings
+            const paramsBadge = chatWindow.querySelector('.model-params');
+            paramsBadge.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openParameterOverrides(modelId);
+            });
         });
+
+        this.updateParameterBadges();
         } catch (error) {
             console.error('❌ Error generating chat windows:', error);
             // Show error message in the grid
             chatGrid.innerHTML = `
                 <div class="error-message" style="grid-column: 1 / -1; padding: 40px; text-align: center; background: white; border-radius: 8px; margin: 20px; color: #dc3545;">
                     <h3>Error Loading Models</h3>
-                    <p>Failed to load AI models: ${error.message}</p>
+                    <p>Failed to load AI models: ${puterSanitizer.escape(error.message)}</p>
                     <button onclick="window.puterUIManager.generateAllChatWindows()" style="margin-top: 16px; padding: 8px 16px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer;">
                         Retry
                     </button>
@@ -227,7 +283,10 @@ class PuterUIManager {
     bindElements() {
         this.elements.messageInput = document.getElementById('messageInput');
         this.elements.fileInput = document.getElementById('fileInput');
+        this.elements.attachButton = document.getElementById('attachButton');
+        this.elements.imagePreviews = document.getElementById('imagePreviews');
         this.elements.sendButton = document.getElementById('streamButton');
+        this.elements.stopButton = document.getElementById('stopButton');
         this.elements.toggleParams = document.getElementById('toggleParams');
         this.elements.toggleSidebar = document.getElementById('toggleSidebar');
         this.elements.maxTokensInput = document.getElementById('maxTokensInput');
@@ -271,6 +330,14 @@ class PuterUIManager {
             this.handleSend();
         });
 
+        // Stop button
+        if (this.elements.stopButton) {
+            this.elements.stopButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleStop();
+            });
+        }
+
         // Enter key in textarea (Shift+Enter for new line)
         this.elements.messageInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -284,28 +351,50 @@ class PuterUIManager {
             this.autoResizeTextarea();
         });
 
+        // Image attachments: button, file picker, paste and drag & drop
+        if (this.elements.attachButton) {
+            this.elements.attachButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.elements.fileInput.click();
+            });
+        }
+
+        this.elements.fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.handleFileUpload(e.target.files);
+            }
+        });
+
+        this.elements.messageInput.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+            if (files.length > 0) {
+                e.preventDefault();
+                this.handleFileUpload(files);
+            }
+        });
+
+        const inputArea = document.querySelector('.input-area');
+        if (inputArea) {
+            inputArea.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                inputArea.classList.add('drag-over');
+            });
+            inputArea.addEventListener('dragleave', () => {
+                inputArea.classList.remove('drag-over');
+            });
+            inputArea.addEventListener('drop', (e) => {
+                e.preventDefault();
+                inputArea.classList.remove('drag-over');
+                if (e.dataTransfer.files.length > 0) {
+                    this.handleFileUpload(e.dataTransfer.files);
+                }
+            });
+        }
+
         // Model selection in sidebar
         this.elements.modelItems.forEach(item => {
             item.addEventListener('click', () => {
-                // Remove active class from all items
-                this.elements.modelItems.forEach(i => i.classList.remove('active'));
-                // Add active class to clicked item
-                item.classList.add('active');
-                
-                const modelId = item.getAttribute('data-model');
-                if (modelId === 'all') {
-                    // Show all chat windows in scrollable grid
-                    this.showAllChatWindows();
-                    this.hideSingleChat();
-                } else if (modelId === 'single') {
-                    // Show single LLM chat interface
-                    this.showSingleChat();
-                    this.hideAllChatWindows();
-                } else {
-                    // Show specific model chat window
-                    this.showSingleChatWindow(modelId);
-                    this.hideSingleChat();
-                }
+                this.activateSidebarItem(item.getAttribute('data-model'));
             });
         });
 
@@ -342,6 +431,39 @@ class PuterUIManager {
 
     }
 
+    /**
+     * Switch the main view to the given sidebar entry
+     */
+    activateSidebarItem(modelId) {
+        // Highlight only the selected entry
+        this.elements.modelItems.forEach(item => {
+            item.classList.toggle('active', item.getAttribute('data-model') === modelId);
+        });
+
+        if (window.puterImageGenManager && modelId !== 'images') {
+            puterImageGenManager.hide();
+        }
+
+        if (modelId === 'all') {
+            // Show all chat windows in scrollable grid
+            this.showAllChatWindows();
+            this.hideSingleChat();
+        } else if (modelId === 'single') {
+            // Show single LLM chat interface
+            this.showSingleChat();
+            this.hideAllChatWindows();
+        } else if (modelId === 'images') {
+            // Show the image generation gallery
+            this.hideSingleChat();
+            this.hideAllChatWindows();
+            puterImageGenManager.show();
+        } else {
+            // Show specific model chat window
+            this.showSingleChatWindow(modelId);
+            this.hideSingleChat();
+        }
+    }
+
     /**
      * Set up slider value updates
      */
@@ -353,6 +475,7 @@ class PuterUIManager {
         if (maxTokensSlider && maxTokensValue) {
             maxTokensSlider.addEventListener('input', (e) => {
                 maxTokensValue.textContent = e.target.value;
+                this.updateParameterBadges();
             });
         }
 
@@ -363,8 +486,256 @@ class PuterUIManager {
         if (temperatureSlider && temperatureValue) {
             temperatureSlider.addEventListener('input', (e) => {
                 temperatureValue.textContent = e.target.value;
+                this.updateParameterBadges();
+            });
+        }
+
+        // Context memory sliders
+        const contextTurnsSlider = document.getElementById('contextTurnsInput');
+        const contextTurnsValue = document.getElementById('contextTurnsValue');
+
+        if (contextTurnsSlider && contextTurnsValue) {
+            contextTurnsSlider.addEventListener('input', (e) => {
+                contextTurnsValue.textContent = e.target.value;
+                puterChatManager.setContextPolicy({ maxTurns: parseInt(e.target.value, 10) });
+            });
+        }
+
+        const contextCharsSlider = document.getElementById('contextCharsInput');
+        const contextCharsValue = document.getElementById('contextCharsValue');
+
+        if (contextCharsSlider && contextCharsValue) {
+            contextCharsSlider.addEventListener('input', (e) => {
+                contextCharsValue.textContent = e.target.value;
+                puterChatManager.setContextPolicy({ maxCharacters: parseInt(e.target.value, 10) });
+            });
+        }
+
+        // Fallback policy
+        const fallbackToggle = document.getElementById('fallbackToggle');
+        if (fallbackToggle) {
+            fallbackToggle.checked = puterChatManager.fallbackPolicy.enabled;
+            fallbackToggle.addEventListener('change', (e) => {
+                puterChatManager.setFallbackPolicy({ enabled: e.target.checked });
+            });
+        }
+
+        const fallbackCountSlider = document.getElementById('fallbackCountInput');
+        const fallbackCountValue = document.getElementById('fallbackCountValue');
+
+        if (fallbackCountSlider && fallbackCountValue) {
+            fallbackCountSlider.addEventListener('input', (e) => {
+                fallbackCountValue.textContent = e.target.value;
+                puterChatManager.setFallbackPolicy({ maxFallbacks: parseInt(e.target.value, 10) });
+            });
+        }
+
+        // Broadcast queue
+        const concurrencySlider = document.getElementById('concurrencyInput');
+        const concurrencyValue = document.getElementById('concurrencyValue');
+
+        if (concurrencySlider && concurrencyValue) {
+            concurrencySlider.max = Math.max(puterChatManager.getAllChatModels().length, 1);
+            concurrencySlider.addEventListener('input', (e) => {
+                concurrencyValue.textContent = e.target.value;
+                puterBroadcastQueue.setPolicy({ concurrency: parseInt(e.target.value, 10) });
             });
         }
+
+        const prioritySelect = document.getElementById('queuePrioritySelect');
+        if (prioritySelect) {
+            prioritySelect.addEventListener('change', (e) => {
+                puterBroadcastQueue.setPolicy({ priority: e.target.value });
+            });
+        }
+        this.syncQueueControls();
+    }
+
+    /**
+     * Show the broadcast queue policy in settings, e.g. after the saved one loads
+     */
+    syncQueueControls() {
+        const { concurrency, priority } = puterBroadcastQueue.policy;
+
+        const concurrencySlider = document.getElementById('concurrencyInput');
+        const concurrencyValue = document.getElementById('concurrencyValue');
+        if (concurrencySlider && concurrencyValue) {
+            concurrencySlider.value = concurrency;
+            concurrencyValue.textContent = concurrencySlider.value;
+        }
+
+        const prioritySelect = document.getElementById('queuePrioritySelect');
+        if (prioritySelect) {
+            prioritySelect.value = priority;
+        }
+    }
+
+    /**
+     * Populate the per-model overrides panel in settings
+     */
+    generateParameterOverrideControls() {
+        const modelSelect = document.getElementById('overrideModelSelect');
+        if (!modelSelect) return;
+
+        const allModels = puterChatManager.getAllChatModels();
+        modelSelect.innerHTML = allModels.map(modelId => {
+            const model = puterModelCapabilities.getModel(modelId);
+            return `<option value="${puterSanitizer.escape(modelId)}">${puterSanitizer.escape(model.name)}</option>`;
+        }).join('');
+
+        if (modelSelect.dataset.bound) {
+            this.loadParameterOverrides(modelSelect.value);
+            return;
+        }
+        modelSelect.dataset.bound = 'true';
+
+        modelSelect.addEventListener('change', (e) => {
+            this.loadParameterOverrides(e.target.value);
+        });
+
+        document.getElementById('saveOverridesBtn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            const modelId = modelSelect.value;
+            puterParameterManager.setOverrides(modelId, this.readParameterOverrideFields());
+            this.loadParameterOverrides(modelId);
+            this.updateParameterBadges();
+            this.showNotification(`Overrides saved for ${this.getModelDisplayName(modelId)}`);
+        });
+
+        document.getElementById('clearOverridesBtn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            const modelId = modelSelect.value;
+            puterParameterManager.clearOverrides(modelId);
+            this.loadParameterOverrides(modelId);
+            this.updateParameterBadges();
+        });
+
+        this.loadParameterOverrides(modelSelect.value);
+    }
+
+    /**
+     * Read the override inputs from the settings panel
+     */
+    readParameterOverrideFields() {
+        return {
+            top_p: document.getElementById('overrideTopP')?.value,
+            presence_penalty: document.getElementById('overridePresencePenalty')?.value,
+            frequency_penalty: document.getElementById('overrideFrequencyPenalty')?.value,
+            seed: document.getElementById('overrideSeed')?.value,
+            stop: document.getElementById('overrideStop')?.value
+        };
+    }
+
+    /**
+     * Fill the override inputs with a model's stored values
+     */
+    loadParameterOverrides(modelId) {
+        const overrides = modelId ? puterParameterManager.getOverrides(modelId) : {};
+        const fields = {
+            overrideTopP: overrides.top_p,
+            overridePresencePenalty: overrides.presence_penalty,
+            overrideFrequencyPenalty: overrides.frequency_penalty,
+            overrideSeed: overrides.seed,
+            overrideStop: overrides.stop ? overrides.stop.join(', ') : undefined
+        };
+
+        for (const [id, value] of Object.entries(fields)) {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = value !== undefined ? value : '';
+            }
+        }
+    }
+
+    /**
+     * Open settings with a model selected in the overrides panel
+     */
+    openParameterOverrides(modelId) {
+        const modelSelect = document.getElementById('overrideModelSelect');
+        if (modelSelect) {
+            modelSelect.value = modelId;
+            this.loadParameterOverrides(modelId);
+        }
+        if (this.elements.settingsSidebar) {
+            this.elements.settingsSidebar.classList.add('open');
+        }
+    }
+
+    /**
+     * Show the effective parameters in every window header
+     */
+    updateParameterBadges() {
+        this.chatWindows.forEach((chatWindow, modelId) => {
+            const badge = document.querySelector(`.model-params[data-model="${modelId}"]`);
+            if (badge) {
+                const parameters = puterParameterManager.resolve(modelId);
+                badge.textContent = puterParameterManager.describe(parameters);
+                badge.title = puterParameterManager.describeFull(parameters);
+            }
+        });
+
+        if (window.puterSingleChatManager) {
+            puterSingleChatManager.updateParameterBadge();
+        }
+    }
+
+    /**
+     * Take the newest answer bubble out of a grid window, leaving a marker where it was
+     */
+    detachLastAssistantMessage(modelId) {
+        const chatWindow = this.chatWindows.get(modelId);
+        const answers = chatWindow ? chatWindow.querySelectorAll('.message.assistant') : [];
+        const messageDiv = answers[answers.length - 1];
+        if (!messageDiv) return null;
+
+        const marker = document.createComment('detached answer');
+        messageDiv.replaceWith(marker);
+        return { messageDiv, marker };
+    }
+
+    /**
+     * Put a detached answer back where it was, removing the answers and notes that followed it
+     */
+    restoreDetachedMessage(detached) {
+        if (!detached || !detached.marker.isConnected) return;
+
+        let node = detached.marker.nextSibling;
+        while (node) {
+            const next = node.nextSibling;
+            if (node.nodeType === Node.ELEMENT_NODE &&
+                (node.matches('.message.assistant') || node.matches('.message-status'))) {
+                node.remove();
+            }
+            node = next;
+        }
+        detached.marker.replaceWith(detached.messageDiv);
+    }
+
+    /**
+     * Forget a detached answer once its replacement is in place
+     */
+    discardDetachedMessage(detached) {
+        if (detached) {
+            detached.marker.remove();
+        }
+    }
+
+    /**
+     * Reset the conversation context of a grid window
+     */
+    resetModelContext(modelId) {
+        // A queued prompt would land in the fresh context
+        puterBroadcastQueue.drop(modelId);
+        puterChatManager.resetContext(modelId);
+
+        const chatWindow = this.chatWindows.get(modelId);
+        if (chatWindow && chatWindow.querySelector('.message')) {
+            const divider = document.createElement('div');
+            divider.className = 'context-divider';
+            divider.textContent = 'Context reset';
+            chatWindow.appendChild(divider);
+            chatWindow.scrollTop = chatWindow.scrollHeight;
+        }
     }
 
     /**
@@ -388,8 +759,9 @@ class PuterUIManager {
             toggleBtn.classList.add('disabled');
             toggleBtn.title = 'Enable model output';
             
-            // Clear any ongoing typing indicators
+            // Clear any ongoing typing indicators and queued prompts
             this.removeTypingIndicator(modelId);
+            puterBroadcastQueue.drop(modelId);
         }
         
         // Update settings panel if it exists
@@ -442,7 +814,7 @@ class PuterUIManager {
             
             companyGroup.innerHTML = `
                 <div class="company-header">
-                    <h5>${company}</h5>
+                    <h5>${puterSanitizer.escape(company)}</h5>
                 </div>
                 <div class="company-models">
                     ${models.map(modelId => {
@@ -451,7 +823,7 @@ class PuterUIManager {
                         return `
                             <div class="model-toggle-item">
                                 <label class="toggle-label" for="settings-toggle-${modelId}">
-                                    <span class="model-name">${model.name}</span>
+                                    <span class="model-name">${puterSanitizer.escape(model.name)}</span>
                                     <div class="toggle-switch">
                                         <input type="checkbox" id="settings-toggle-${modelId}" ${isEnabled ? 'checked' : ''}>
                                         <span class="toggle-slider"></span>
@@ -578,12 +950,7 @@ class PuterUIManager {
                 }
 
                 const imageUrl = await this.fileToBase64(file);
-                this.uploadedImages.push({
-                    file: file,
-                    url: imageUrl,
-                    name: file.name
-                });
-                this.displayUploadedImage(imageUrl, file.name);
+                this.attachImage(imageUrl, file.name, file);
             } catch (error) {
                 this.showError(`Failed to upload ${file.name}: ${error.message}`);
             }
@@ -596,6 +963,16 @@ class PuterUIManager {
         this.elements.fileInput.value = '';
     }
 
+    /**
+     * Add an image to the pending attachments
+     */
+    attachImage(url, name, file = null) {
+        const image = { id: `image-${this.nextImageId++}`, file, url, name };
+        this.uploadedImages.push(image);
+        this.displayUploadedImage(image);
+        this.updateSendButtonState();
+    }
+
     /**
      * Convert file to base64
      */
@@ -611,21 +988,59 @@ class PuterUIManager {
     /**
      * Display uploaded image in UI
      */
-    displayUploadedImage(imageUrl, fileName) {
-        // For the new multi-chat interface, we'll show image previews in the input area
-        console.log('📷 Image uploaded:', fileName);
-        // Images will be displayed when the message is sent to all chat windows
+    displayUploadedImage(image) {
+        const container = this.elements.imagePreviews;
+        if (!container) return;
+
+        const preview = document.createElement('div');
+        preview.className = 'image-preview';
+        preview.setAttribute('data-image-id', image.id);
+        preview.innerHTML = `
+            <img class="image-thumbnail">
+            <span class="image-name"></span>
+            <button class="image-remove-btn" title="Remove image">×</button>
+        `;
+
+        // File names are user input, so set them as text
+        preview.querySelector('.image-thumbnail').src = image.url;
+        preview.querySelector('.image-thumbnail').alt = image.name;
+        preview.querySelector('.image-name').textContent = image.name;
+        preview.querySelector('.image-remove-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.removeImage(image.id);
+        });
+
+        if (window.puterOcrManager) {
+            preview.appendChild(puterOcrManager.createOcrButton(image.id));
+        }
+
+        container.appendChild(preview);
+    }
+
+    /**
+     * Drop all attached images and their thumbnails
+     */
+    clearUploadedImages() {
+        this.uploadedImages = [];
+        this.elements.fileInput.value = '';
+        if (this.elements.imagePreviews) {
+            this.elements.imagePreviews.innerHTML = '';
+        }
     }
 
     /**
      * Remove uploaded image
      */
-    removeImage(fileName) {
-        this.uploadedImages = this.uploadedImages.filter(img => img.name !== fileName);
+    removeImage(imageId) {
+        this.uploadedImages = this.uploadedImages.filter(img => img.id !== imageId);
+
+        if (window.puterOcrManager && puterOcrManager.currentImageId === imageId) {
+            puterOcrManager.close();
+        }
 
         const previews = document.querySelectorAll('.image-preview');
         previews.forEach(preview => {
-            if (preview.querySelector('.image-name').textContent === fileName) {
+            if (preview.getAttribute('data-image-id') === imageId) {
                 preview.style.opacity = '0';
                 preview.style.transform = 'scale(0.8)';
                 setTimeout(() => preview.remove(), 200);
@@ -714,11 +1129,13 @@ class PuterUIManager {
     /**
      * Handle send button click
      */
-    async handleSend() {
+    async handleSend(prompt = null) {
         if (this.isProcessing) return;
 
-        const message = this.elements.messageInput.value.trim();
-        const hasImages = this.uploadedImages.length > 0;
+        // A prompt passed in (e.g. OCR text) is sent as-is and leaves the input box and attachments alone
+        const fromInput = !prompt;
+        const message = fromInput ? this.elements.messageInput.value.trim() : prompt.message;
+        const hasImages = fromInput && this.uploadedImages.length > 0;
 
         if (!message && !hasImages) {
             this.showError('Please enter a message or upload an image');
@@ -729,14 +1146,40 @@ class PuterUIManager {
         this.setSendButtonLoading(true);
 
         try {
-            // Check if single chat mode is active
-            if (window.puterSingleChatManager && window.puterSingleChatManager.isActive()) {
+            // Check if image generation mode is active
+            if (window.puterImageGenManager && puterImageGenManager.isActive()) {
+                // Keep the attachments; generation only takes the prompt
+                if (hasImages) {
+                    this.showError('Image generation does not use attached images. Remove them to generate.');
+                    return;
+                }
+
+                await puterImageGenManager.generate(message);
+
+                // Clear input
+                if (fromInput) {
+                    this.elements.messageInput.value = '';
+                    this.autoResizeTextarea();
+                }
+            } else if (window.puterSingleChatManager && window.puterSingleChatManager.isActive()) {
+                // Keep the attachments if the selected model can't read them
+                if (hasImages && !puterSingleChatManager.canReadImages()) {
+                    this.showError('This model cannot read images. Pick a vision model or remove the images.');
+                    return;
+                }
+
                 // Handle single chat mode
-                await window.puterSingleChatManager.sendMessage(message);
+                const imagesToSend = hasImages ? [...this.uploadedImages] : [];
+                if (fromInput) {
+                    this.clearUploadedImages();
+                }
+                await window.puterSingleChatManager.sendMessage(message, imagesToSend);
                 
                 // Clear input
-                this.elements.messageInput.value = '';
-                this.autoResizeTextarea();
+                if (fromInput) {
+                    this.elements.messageInput.value = '';
+                    this.autoResizeTextarea();
+                }
             } else {
                 // Handle multi-chat mode
                 const activeModelItem = document.querySelector('.model-item.active');
@@ -751,14 +1194,18 @@ class PuterUIManager {
                     modelsToUse = [selectedModel];
                 }
 
-                // Display user message in all active chat windows
-                this.displayUserMessageInAllWindows(message, this.uploadedImages, modelsToUse);
+                // Display user message in the windows that will answer; the others get a skip note
+                const imagesToSend = hasImages ? [...this.uploadedImages] : [];
+                const answeringModels = hasImages
+                    ? modelsToUse.filter(modelId => puterModelCapabilities.supportsVision(modelId))
+                    : modelsToUse;
+                this.displayUserMessageInAllWindows(message, imagesToSend, answeringModels);
 
                 // Clear input and images
-                this.elements.messageInput.value = '';
-                const imagesToSend = [...this.uploadedImages];
-                this.uploadedImages = [];
-                this.elements.fileInput.value = '';
+                if (fromInput) {
+                    this.elements.messageInput.value = '';
+                    this.clearUploadedImages();
+                }
 
                 // Send to selected models
                 await puterChatManager.sendMessageToAllModels(message, imagesToSend, modelsToUse);
@@ -776,6 +1223,196 @@ class PuterUIManager {
         }
     }
 
+    /**
+     * Stop every in-flight generation in the active mode
+     */
+    handleStop() {
+        if (window.puterSingleChatManager) {
+            puterSingleChatManager.stopGeneration();
+        }
+        if (window.puterImageGenManager) {
+            puterImageGenManager.stop();
+        }
+        if (window.puterSynthesisManager) {
+            puterSynthesisManager.stop();
+        }
+        puterChatManager.stopAllGenerations();
+    }
+
+    /**
+     * Flag a grid window as generating so its stop control shows
+     */
+    setWindowGenerating(modelId, generating) {
+        const chatWindow = this.chatWindows.get(modelId)?.closest('.chat-window');
+        if (chatWindow) {
+            chatWindow.classList.toggle('generating', generating);
+        }
+    }
+
+    /**
+     * Mark a grid window as sitting out an image round
+     */
+    showVisionSkipped(modelId) {
+        const chatWindow = this.chatWindows.get(modelId);
+        if (!chatWindow) return;
+
+        const status = document.createElement('div');
+        status.className = 'message-status skipped';
+        status.textContent = '⏭ Skipped: no vision';
+        status.title = `${this.getWindowLabel(modelId)} cannot read images`;
+        chatWindow.appendChild(status);
+        chatWindow.scrollTop = chatWindow.scrollHeight;
+    }
+
+    /**
+     * Show or update a window's place in the broadcast queue
+     */
+    showQueuePosition(modelId, position) {
+        const chatWindow = this.chatWindows.get(modelId);
+        if (!chatWindow) return;
+
+        let status = chatWindow.querySelector('.message-status.queued');
+        if (!status) {
+            const escapedId = puterSanitizer.escape(modelId);
+            status = document.createElement('div');
+            status.className = 'message-status queued';
+            status.innerHTML = `
+                <span class="queue-position"></span>
+                <button class="queue-btn" data-queue-action="up" data-model="${escapedId}" title="Start earlier">↑</button>
+                <button class="queue-btn" data-queue-action="down" data-model="${escapedId}" title="Start later">↓</button>
+                <button class="queue-btn" data-queue-action="drop" data-model="${escapedId}" title="Drop from this round">✕</button>
+            `;
+            chatWindow.appendChild(status);
+            chatWindow.scrollTop = chatWindow.scrollHeight;
+        }
+        status.querySelector('.queue-position').textContent = `⏸ Queued #${position}`;
+    }
+
+    /**
+     * Remove a window's queue status
+     */
+    removeQueuePosition(modelId) {
+        const chatWindow = this.chatWindows.get(modelId);
+        const status = chatWindow ? chatWindow.querySelector('.message-status.queued') : null;
+        if (status) {
+            status.remove();
+        }
+    }
+
+    /**
+     * Mark a grid window as dropped from the queue before it started
+     */
+    showDroppedFromQueue(modelId) {
+        const chatWindow = this.chatWindows.get(modelId);
+        if (!chatWindow) return;
+
+        const status = document.createElement('div');
+        status.className = 'message-status skipped';
+        status.textContent = '⏭ Dropped from this round';
+        chatWindow.appendChild(status);
+        chatWindow.scrollTop = chatWindow.scrollHeight;
+    }
+
+    /**
+     * Note in a window that its model failed and a fallback is being tried
+     */
+    showFallbackAttempt(modelId, failedModelId, nextModelId, error = null) {
+        const chatWindow = this.chatWindows.get(modelId);
+        if (!chatWindow) return;
+
+        // Blind windows don't say which models are involved
+        const hidden = window.puterBlindModeManager && puterBlindModeManager.isHidden(modelId);
+        const status = document.createElement('div');
+        status.className = 'message-status fallback';
+        status.textContent = hidden
+            ? '↪ Failed, trying a fallback model'
+            : `↪ ${this.getModelDisplayName(failedModelId)} failed, trying ${this.getModelDisplayName(nextModelId)}`;
+        if (error) {
+            // Provider messages often name the model, so blind windows only get the classified reason
+            status.title = hidden ? puterRequestScheduler.describeError(error, modelId) : error.message;
+        }
+        chatWindow.appendChild(status);
+        chatWindow.scrollTop = chatWindow.scrollHeight;
+    }
+
+    /**
+     * Label a window's latest answer with the fallback model that wrote it
+     */
+    markFallbackAnswer(modelId, answeredBy, messageDiv = null) {
+        if (!messageDiv) {
+            const chatWindow = this.chatWindows.get(modelId);
+            const answers = chatWindow ? chatWindow.querySelectorAll('.message.assistant') : [];
+            messageDiv = answers[answers.length - 1];
+        }
+        if (!messageDiv || messageDiv.querySelector('.fallback-label')) return;
+
+        const hidden = window.puterBlindModeManager && puterBlindModeManager.isHidden(modelId);
+        const label = document.createElement('div');
+        label.className = 'message-status fallback-label';
+        label.textContent = hidden
+            ? 'Answered by a fallback model'
+            : `Answered by ${this.getModelDisplayName(answeredBy)} (fallback)`;
+        messageDiv.insertBefore(label, messageDiv.firstChild);
+    }
+
+    /**
+     * Show a retry countdown in a window; the scheduler updates and removes it
+     */
+    showRetryCountdown(modelId) {
+        const chatWindow = this.chatWindows.get(modelId);
+        if (!chatWindow) return null;
+
+        const status = document.createElement('div');
+        status.className = 'message-status retry-wait';
+        status.innerHTML = `
+            <span class="retry-wait-text"></span>
+            <button class="retry-now-btn" data-retry-now="${puterSanitizer.escape(modelId)}">↻ Retry now</button>
+        `;
+        chatWindow.appendChild(status);
+        chatWindow.scrollTop = chatWindow.scrollHeight;
+        return status;
+    }
+
+    /**
+     * Update a retry countdown's text
+     */
+    updateRetryCountdown(status, text, title = '') {
+        if (!status) return;
+
+        status.querySelector('.retry-wait-text').textContent = text;
+        status.title = title;
+    }
+
+    /**
+     * Add a "Retry now" button to a failed answer
+     */
+    addRetryButton(messageDiv, modelId) {
+        if (!messageDiv) return;
+
+        const button = document.createElement('button');
+        button.className = 'retry-now-btn';
+        button.setAttribute('data-retry-now', modelId);
+        button.textContent = '↻ Retry now';
+        messageDiv.appendChild(button);
+    }
+
+    /**
+     * Append a "stopped" marker to a partial assistant message
+     */
+    markMessageStopped(messageDiv) {
+        if (!messageDiv || messageDiv.querySelector('.message-status.stopped')) return;
+
+        const contentDiv = messageDiv.querySelector('.message-content, .single-message-content');
+        if (contentDiv && !contentDiv.textContent.trim()) {
+            contentDiv.remove();
+        }
+
+        const status = document.createElement('div');
+        status.className = 'message-status stopped';
+        status.textContent = '⏹ Stopped';
+        messageDiv.appendChild(status);
+    }
+
     /**
      * Display user message in all chat windows
      */
@@ -799,7 +1436,7 @@ class PuterUIManager {
                 if (images && images.length > 0) {
                     html += '<div class="message-images">';
                     images.forEach(img => {
-                        html += `<img src="${img.url}" alt="${img.name}" class="message-image" style="max-width: 200px; border-radius: 8px; margin: 4px;">`;
+                        html += `<img src="${puterSanitizer.escape(img.url)}" alt="${puterSanitizer.escape(img.name)}" class="message-image">`;
                     });
                     html += '</div>';
                 }
@@ -808,7 +1445,7 @@ class PuterUIManager {
                     html += `<div class="message-content">${this.formatContent(message)}</div>`;
                 }
                 
-                messageDiv.innerHTML = html;
+                messageDiv.innerHTML = puterSanitizer.sanitize(html);
                 chatWindow.appendChild(messageDiv);
                 chatWindow.scrollTop = chatWindow.scrollHeight;
             }
@@ -895,13 +1532,26 @@ class PuterUIManager {
             const messageDiv = document.createElement('div');
             messageDiv.className = 'message assistant';
             messageDiv.innerHTML = `<div class="message-content">${this.formatContent(content)}</div>`;
+            if (window.puterSpeechManager) {
+                puterSpeechManager.attachSpeakButton(messageDiv, '.message-content');
+            }
             chatWindow.appendChild(messageDiv);
             chatWindow.scrollTop = chatWindow.scrollHeight;
+            this.renderRichContent(messageDiv);
             return messageDiv;
         }
         return null;
     }
 
+    /**
+     * Typeset math and draw diagrams once a reply is complete
+     */
+    renderRichContent(messageDiv) {
+        if (window.puterRichContentRenderer && messageDiv) {
+            puterRichContentRenderer.render(messageDiv);
+        }
+    }
+
     /**
      * Show typing indicator in specific chat window
      */
@@ -1037,23 +1687,6 @@ class PuterUIManager {
         this.elements.sendButton.style.opacity = canSend ? '1' : '0.6';
     }
 
-    /**
-     * Format message content
-     */
-    formatContent(content) {
-        if (!content) return '';
-        
-        // Escape HTML
-        content = content.replace(/&/g, '&amp;')
-                        .replace(/</g, '&lt;')
-                        .replace(/>/g, '&gt;');
-        
-        // Convert line breaks
-        content = content.replace(/\n/g, '<br>');
-        
-        return content;
-    }
-
     /**
      * Set send button loading state
      */
@@ -1423,6 +2056,10 @@ class PuterUIManager {
      * Set send button loading state
      */
     setSendButtonLoading(loading) {
+        if (this.elements.stopButton) {
+            this.elements.stopButton.style.display = loading ? 'inline-flex' : 'none';
+        }
+
         if (this.elements.sendButton) {
             this.elements.sendButton.disabled = loading;
             this.elements.sendButton.textContent = loading ? 'Sending...' : 'Send';
@@ -1452,8 +2089,7 @@ class PuterUIManager {
                 const placeholder = chatWindow.querySelector('.placeholder-text');
                 if (placeholder) {
                     // Update placeholder text to be more welcoming
-                    const modelName = this.getModelDisplayName(modelId);
-                    placeholder.textContent = `Ready to chat with ${modelName}`;
+                    placeholder.textContent = `Ready to chat with ${this.getWindowLabel(modelId)}`;
                 }
             }
         });
@@ -1563,15 +2199,8 @@ class PuterUIManager {
             }
         }
 
-        // Replace newlines with <br>
-        content = content.replace(/\n/g, '<br>');
-
-        // Basic markdown-like formatting
-        content = content.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-        content = content.replace(/\*(.*?)\*/g, '<em>$1</em>');
-        content = content.replace(/`(.*?)`/g, '<code>$1</code>');
-
-        return content;
+        // Model output is untrusted, so the rendered HTML goes through the sanitizer
+        return puterSanitizer.sanitize(puterMarkdownRenderer.render(content));
     }
 
     /**
@@ -1720,7 +2349,7 @@ class PuterUIManager {
         container.id = `model-${modelId}`;
         container.innerHTML = `
             <div class="model-header">
-                <h4>${modelName}</h4>
+                <h4>${puterSanitizer.escape(modelName)}</h4>
                 <div class="model-status">
                     <div class="model-dot" id="status-${modelId}"></div>
                 </div>
@@ -1755,7 +2384,7 @@ class PuterUIManager {
         if (images && images.length > 0) {
             html += '<div class="message-images">';
             images.forEach(img => {
-                html += `<img src="${img.url}" alt="${img.name}" class="message-image">`;
+                html += `<img src="${puterSanitizer.escape(img.url)}" alt="${puterSanitizer.escape(img.name)}" class="message-image">`;
             });
             html += '</div>';
         }
@@ -1764,7 +2393,7 @@ class PuterUIManager {
             html += `<div class="message-content">${this.formatContent(content)}</div>`;
         }
 
-        messageDiv.innerHTML = html;
+        messageDiv.innerHTML = puterSanitizer.sanitize(html);
         modelContainer.messages.appendChild(messageDiv);
 
         // Clear welcome message if it exists
@@ -1888,12 +2517,38 @@ class PuterUIManager {
         });
     }
 
+    /**
+     * Re-render stored histories into the grid windows
+     */
+    renderGridHistories(windows = {}) {
+        this.clearAllChatWindows();
+
+        for (const [modelId, history] of Object.entries(windows)) {
+            if (!this.chatWindows.has(modelId)) continue;
+
+            history.forEach(entry => {
+                if (entry.role === 'user') {
+                    this.displayUserMessageInAllWindows(entry.content, entry.images || [], [modelId]);
+                } else if (entry.role === 'assistant') {
+                    const messageDiv = this.displayAssistantMessage(modelId, entry.content);
+                    puterMetricsManager.attach(messageDiv, entry.metrics);
+                    if (entry.answeredBy) {
+                        this.markFallbackAnswer(modelId, entry.answeredBy, messageDiv);
+                    }
+                    if (window.puterLeaderboardManager && !entry.answeredBy) {
+                        puterLeaderboardManager.attachControls(messageDiv, entry.roundId, modelId);
+                    }
+                }
+            });
+        }
+    }
+
     /**
      * Clear all chat windows
      */
     clearAllChatWindows() {
         this.chatWindows.forEach((chatWindow, modelId) => {
-            chatWindow.innerHTML = `<div class="placeholder-text">Ready to chat with ${this.getModelDisplayName(modelId)}</div>`;
+            chatWindow.innerHTML = `<div class="placeholder-text">Ready to chat with ${puterSanitizer.escape(this.getWindowLabel(modelId))}</div>`;
         });
     }
 
@@ -1904,6 +2559,23 @@ class PuterUIManager {
         const model = puterModelCapabilities.getModel(modelId);
         return model ? model.name : modelId;
     }
+
+    /**
+     * Letter for a position in an anonymized list: A-Z, then A2, B2, ...
+     */
+    getLetterLabel(index) {
+        const letter = String.fromCharCode(65 + (index % 26));
+        return index < 26 ? letter : `${letter}${Math.floor(index / 26) + 1}`;
+    }
+
+    /**
+     * Name to show for a grid window, hidden behind its letter in blind mode
+     */
+    getWindowLabel(modelId) {
+        return window.puterBlindModeManager
+            ? puterBlindModeManager.displayName(modelId)
+            : this.getModelDisplayName(modelId);
+    }
 }
 
 // Create global instance